@@ -0,0 +1,286 @@
+// src/client.js
+
+/**
+ * Client-side helpers that turn error responses of wrapped handlers back into
+ * `CustomError` instances, so the browser and the server share one error
+ * vocabulary. This module only depends on the error classes and can be bundled
+ * into client components.
+ */
+
+const customErrors = require('./customErrors');
+const { toSlug } = require('./problemDetails');
+
+const { CustomError, ValidationError } = customErrors;
+
+/**
+ * Built-in error classes, keyed by error name.
+ */
+const ERROR_CLASSES = Object.keys(customErrors)
+  .filter((name) => customErrors[name].prototype instanceof CustomError)
+  .reduce((classes, name) => ({ ...classes, [name]: customErrors[name] }), {});
+
+/**
+ * Built-in error classes, keyed by their default status code. `ValidationError`
+ * is only used for bodies with field-level issues, so it is left out.
+ */
+const CLASSES_BY_STATUS = Object.keys(ERROR_CLASSES)
+  .filter((name) => name !== 'ValidationError')
+  .reduce((classes, name) => {
+    const { statusCode } = new ERROR_CLASSES[name]();
+    return classes[statusCode] ? classes : { ...classes, [statusCode]: name };
+  }, {});
+
+/**
+ * Reads a header from a Headers instance or a plain object.
+ *
+ * @param {Headers|Object} [headers] - The response headers.
+ * @param {string} name - The header name.
+ * @returns {string|undefined}
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) || undefined;
+  }
+  const key = Object.keys(headers).find(
+    (header) => header.toLowerCase() === name.toLowerCase(),
+  );
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Parses a Retry-After header value into seconds or a date.
+ *
+ * @param {string} [value] - The header value.
+ * @returns {number|Date|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Extracts the error fields from a response body. Supports the default
+ * `{ error: { message, type, ... } }` shape (also used by `withActionErrors`),
+ * RFC 9457 Problem Details documents and flat `{ message, type }` bodies.
+ *
+ * @param {*} body - The parsed response body.
+ * @returns {Object} The error name, status, message and extra properties.
+ */
+function readErrorBody(body) {
+  if (!body || typeof body !== 'object') {
+    return {};
+  }
+
+  if (body.error && typeof body.error === 'object') {
+    const { type, message, ...rest } = body.error;
+    return { name: type, message, rest };
+  }
+
+  if (typeof body.status === 'number' || 'detail' in body || 'title' in body) {
+    const { type, title, status, detail, instance, ...rest } = body;
+    const slug =
+      typeof type === 'string' && type !== 'about:blank'
+        ? type.replace(/\/+$/, '').split('/').pop()
+        : undefined;
+    const name = slug
+      ? Object.keys(ERROR_CLASSES).find(
+          (className) => toSlug(className) === slug,
+        )
+      : undefined;
+    return { name, status, message: detail, rest };
+  }
+
+  const { type, message, ...rest } = body;
+  return { name: type, message, rest };
+}
+
+/**
+ * Converts an error response body back into a `CustomError` instance.
+ *
+ * The class is chosen from the error type sent by the server (e.g. 'NotFoundError'),
+ * or from the status code when the type is unknown, in which case the instance keeps
+ * the server's error name. Bodies with field-level issues become `ValidationError`s.
+ * Registered `errorClasses` take precedence over the built-in classes.
+ *
+ * @param {*} body - The parsed response body.
+ * @param {Object} [options={}] - Deserialization options.
+ * @param {number} [options.status] - The response status code.
+ * @param {Headers|Object} [options.headers] - The response headers, used for
+ *        Retry-After, Allow and WWW-Authenticate.
+ * @param {Object<string, Function>} [options.errorClasses] - Application `CustomError` subclasses,
+ *        keyed by name. They are constructed with `(message, options)` like the built-in classes.
+ *
+ * @returns {CustomError} The error instance, with `statusCode`, `code`, `details`,
+ *          `fields` and `requestId` from the response.
+ *
+ * @example
+ *
+ * const error = deserializeError(
+ *   { error: { message: 'User not found.', type: 'NotFoundError', code: 'USER_NOT_FOUND' } },
+ *   { status: 404 },
+ * );
+ * error instanceof NotFoundError; // true
+ */
+function deserializeError(body, options = {}) {
+  const { headers, errorClasses = {} } = options;
+  const parsed = readErrorBody(body);
+  const rest = parsed.rest || {};
+  const statusCode = Number(options.status || parsed.status) || undefined;
+  const classes = { ...ERROR_CLASSES, ...errorClasses };
+
+  let name = typeof parsed.name === 'string' ? parsed.name : undefined;
+  let ErrorClass = name ? classes[name] : undefined;
+
+  if (!ErrorClass && Array.isArray(rest.fields)) {
+    ErrorClass = ValidationError;
+  } else if (!ErrorClass && CLASSES_BY_STATUS[statusCode]) {
+    ErrorClass = ERROR_CLASSES[CLASSES_BY_STATUS[statusCode]];
+  }
+
+  const { code, details, fields, requestId, ...extensions } = rest;
+  const errorOptions = {
+    ...extensions,
+    code,
+    details,
+    fields,
+    statusCode,
+  };
+
+  const retryAfter = parseRetryAfter(readHeader(headers, 'retry-after'));
+  if (retryAfter !== undefined && errorOptions.retryAfter === undefined) {
+    errorOptions.retryAfter = retryAfter;
+  }
+  const allow = readHeader(headers, 'allow');
+  if (allow && errorOptions.allowedMethods === undefined) {
+    errorOptions.allowedMethods = allow
+      .split(',')
+      .map((method) => method.trim());
+  }
+  const authenticate = readHeader(headers, 'www-authenticate');
+  if (authenticate && errorOptions.authenticate === undefined) {
+    errorOptions.authenticate = authenticate;
+  }
+
+  const message =
+    typeof parsed.message === 'string' ? parsed.message : undefined;
+  let error;
+  if (ErrorClass && ErrorClass.prototype instanceof CustomError) {
+    error = new ErrorClass(message, errorOptions);
+  } else {
+    error = new CustomError(
+      message,
+      statusCode || 500,
+      name || 'CustomError',
+      errorOptions,
+    );
+    name = undefined;
+  }
+
+  // The response is the source of truth, even when it differs from the class default
+  if (statusCode) {
+    error.statusCode = statusCode;
+  }
+  if (name) {
+    error.name = name;
+  }
+  if (fields !== undefined) {
+    error.fields = fields;
+  }
+  if (requestId !== undefined) {
+    error.requestId = requestId;
+  }
+  Object.keys(extensions).forEach((key) => {
+    if (error[key] === undefined) {
+      error[key] = extensions[key];
+    }
+  });
+
+  return error;
+}
+
+/**
+ * Converts a failed `fetch` Response into a `CustomError` instance. JSON and
+ * Problem JSON bodies are parsed; other bodies fall back to the status code.
+ *
+ * @param {Response} response - The failed response.
+ * @param {Object} [options={}] - Options passed to `deserializeError`.
+ * @returns {Promise<CustomError>} The error instance.
+ */
+async function errorFromResponse(response, options = {}) {
+  let body;
+  try {
+    const text = await response.text();
+    body = text ? JSON.parse(text) : undefined;
+  } catch (parseError) {
+    body = undefined;
+  }
+
+  return deserializeError(body, {
+    ...options,
+    status: response.status,
+    headers: response.headers,
+  });
+}
+
+/**
+ * Fetches a JSON resource and throws the matching `CustomError` instance when the
+ * response is not ok. Network failures are rethrown unchanged.
+ *
+ * JSON error formats are requested with the Accept header unless one is set, so
+ * the server does not answer with an HTML error page.
+ *
+ * @param {string|URL|Request} input - The resource to fetch.
+ * @param {Object} [init={}] - Options passed to `fetch`.
+ * @param {Object} [options={}] - Options passed to `deserializeError`.
+ * @param {Function} [options.fetch] - The fetch implementation. Defaults to the global `fetch`.
+ *
+ * @returns {Promise<*>} The parsed body, or undefined for empty responses.
+ *
+ * @example
+ *
+ * try {
+ *   const user = await fetchJson(`/api/users/${id}`);
+ * } catch (error) {
+ *   if (error instanceof NotFoundError) {
+ *     // ...
+ *   }
+ * }
+ */
+async function fetchJson(input, init = {}, options = {}) {
+  const { fetch: fetchImpl = fetch, ...deserializeOptions } = options;
+  // Without init.headers, keep the headers of a Request input, which init would replace
+  const headers = new Headers(
+    init.headers ||
+      (typeof Request !== 'undefined' && input instanceof Request
+        ? input.headers
+        : undefined),
+  );
+  if (!headers.has('accept')) {
+    headers.set('Accept', 'application/json, application/problem+json');
+  }
+
+  const response = await fetchImpl(input, { ...init, headers });
+
+  if (!response.ok) {
+    throw await errorFromResponse(response, deserializeOptions);
+  }
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : undefined;
+}
+
+module.exports = {
+  deserializeError,
+  errorFromResponse,
+  fetchJson,
+  parseRetryAfter,
+};
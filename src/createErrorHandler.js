@@ -0,0 +1,126 @@
+// src/createErrorHandler.js
+
+const errorHandler = require('./errorHandler');
+const createRoute = require('./createRoute');
+const edgeErrorHandler = require('./edge');
+const { withActionErrors } = require('./serverActions');
+const { HOOK_NAMES, toHookList } = require('./hooks');
+
+/**
+ * Determines whether a value is a plain object (and not an array, class instance,
+ * Promise, logger instance with a custom prototype, ...).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Options holding stateful instances (a rate limiter, metrics collector or
+ * reporters). A route value replaces the default instead of being merged into it,
+ * since a merged copy would keep the default's methods and state.
+ */
+const REPLACED_OPTIONS = ['rateLimit', 'metrics', 'reporter'];
+
+/**
+ * Deep-merges per-route options over shared defaults.
+ *
+ * - Plain objects (e.g. `renderers`, `problemDetails`) are merged recursively.
+ * - `errorMappers` are concatenated, with the route's mappers consulted first.
+ * - Hooks (`onError`, `beforeResponse`, `afterResponse`) are combined, so the shared
+ *   hooks run first and the route's hooks after them.
+ * - Other arrays are concatenated, defaults first.
+ * - `rateLimit`, `metrics` and `reporter` set on the route replace the default.
+ * - Any other value (functions, strings, numbers, logger instances, `false`)
+ *   set on the route replaces the default. `undefined` keeps the default.
+ *
+ * @param {Object} [defaults={}] - The shared options.
+ * @param {Object} [overrides={}] - The per-route options.
+ * @returns {Object} The merged options.
+ */
+function mergeOptions(defaults = {}, overrides = {}) {
+  const merged = { ...defaults };
+
+  Object.keys(overrides || {}).forEach((key) => {
+    const base = merged[key];
+    const value = overrides[key];
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (REPLACED_OPTIONS.includes(key)) {
+      merged[key] = value;
+    } else if (HOOK_NAMES.includes(key)) {
+      merged[key] = [...toHookList(base), ...toHookList(value)];
+    } else if (
+      key === 'errorMappers' &&
+      Array.isArray(base) &&
+      Array.isArray(value)
+    ) {
+      merged[key] = [...value, ...base];
+    } else if (Array.isArray(base) && Array.isArray(value)) {
+      merged[key] = [...base, ...value];
+    } else if (isPlainObject(base) && isPlainObject(value)) {
+      merged[key] = mergeOptions(base, value);
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Creates a preconfigured `errorHandler` so that an organization-wide error policy
+ * (logger, messages, formatError, mappers, renderers, hooks, ...) is defined once and
+ * shared by every route. Per-route options are deep-merged over the defaults with
+ * `mergeOptions`.
+ *
+ * The returned function also exposes `route`, `edge` and `action`, which apply the
+ * same defaults to `createRoute`, `edgeErrorHandler` and `withActionErrors`.
+ *
+ * @param {Object} [defaults={}] - The shared `errorHandler` options.
+ *
+ * @returns {Function} A function receiving (handler, options) and returning the wrapped handler.
+ *
+ * @example
+ *
+ * // lib/errors.js
+ * const { createErrorHandler, pinoAdapter } = require('nextjs-centralized-error-handler');
+ *
+ * export const withErrors = createErrorHandler({
+ *   logger: pinoAdapter(pino),
+ *   defaultMessage: 'Something went wrong.',
+ *   problemDetails: { typeBaseUrl: 'https://example.com/problems' },
+ * });
+ *
+ * // pages/api/users.js
+ * export default withErrors(handler, { defaultMessage: 'Could not load users.' });
+ */
+function createErrorHandler(defaults = {}) {
+  const configuredErrorHandler = (handler, options = {}) =>
+    errorHandler(handler, mergeOptions(defaults, options));
+
+  configuredErrorHandler.route = (handlers, options = {}) =>
+    createRoute(handlers, mergeOptions(defaults, options));
+
+  configuredErrorHandler.edge = (handler, options = {}) =>
+    edgeErrorHandler(handler, mergeOptions(defaults, options));
+
+  configuredErrorHandler.action = (action, options = {}) =>
+    withActionErrors(action, mergeOptions(defaults, options));
+
+  return configuredErrorHandler;
+}
+
+module.exports = {
+  createErrorHandler,
+  mergeOptions,
+};
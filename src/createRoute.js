@@ -0,0 +1,86 @@
+// src/createRoute.js
+
+const errorHandler = require('./errorHandler');
+const { MethodNotAllowedError } = require('./customErrors');
+
+/**
+ * Builds a Pages Router API route that dispatches requests to per-method handlers.
+ * The route is wrapped with `errorHandler`, so errors thrown by the handlers, as well
+ * as the MethodNotAllowedError for unsupported methods, produce the same responses
+ * as any other wrapped route.
+ *
+ * - `HEAD` falls back to the `GET` handler when no `HEAD` handler is given.
+ * - `OPTIONS` answers 204 No Content with the `Allow` header when no `OPTIONS` handler is given.
+ * - Any other method throws a MethodNotAllowedError carrying the `Allow` list.
+ *
+ * @param {Object<string, Function>} handlers - Handlers keyed by HTTP method
+ *                                              (e.g. `{ GET, POST, DELETE }`). Each receives (req, res),
+ *                                              and `{ signal }` when `options.timeout` is set.
+ * @param {Object} [options={}] - Options passed to `errorHandler`.
+ *
+ * @returns {Function} A wrapped API route handler.
+ *
+ * @example
+ *
+ * // pages/api/users/[id].js
+ * const { createRoute, NotFoundError } = require('nextjs-centralized-error-handler');
+ *
+ * export default createRoute({
+ *   GET: async (req, res) => {
+ *     const user = await findUser(req.query.id);
+ *     if (!user) throw new NotFoundError('User not found.');
+ *     res.status(200).json(user);
+ *   },
+ *   DELETE: async (req, res) => {
+ *     await deleteUser(req.query.id);
+ *     res.status(204).end();
+ *   },
+ * });
+ */
+function createRoute(handlers, options = {}) {
+  const methodHandlers = {};
+
+  Object.keys(handlers || {}).forEach((method) => {
+    if (typeof handlers[method] === 'function') {
+      methodHandlers[method.toUpperCase()] = handlers[method];
+    }
+  });
+
+  if (!methodHandlers.HEAD && methodHandlers.GET) {
+    methodHandlers.HEAD = methodHandlers.GET;
+  }
+
+  const allowedMethods = Object.keys(methodHandlers);
+  if (!allowedMethods.includes('OPTIONS')) {
+    allowedMethods.push('OPTIONS');
+  }
+
+  /**
+   * Dispatches the request to the handler registered for its method.
+   *
+   * @param {Object} req - The incoming request object.
+   * @param {Object} res - The response object.
+   * @param {...*} rest - Further arguments from `errorHandler`, such as `{ signal }`
+   *                      when a `timeout` is set.
+   */
+  const route = async (req, res, ...rest) => {
+    const method = String(req.method || 'GET').toUpperCase();
+    const methodHandler = methodHandlers[method];
+
+    if (methodHandler) {
+      return methodHandler(req, res, ...rest);
+    }
+
+    if (method === 'OPTIONS') {
+      res.setHeader('Allow', allowedMethods.join(', '));
+      res.status(204).end();
+      return undefined;
+    }
+
+    throw new MethodNotAllowedError(undefined, { allowedMethods });
+  };
+
+  return errorHandler(route, options);
+}
+
+module.exports = createRoute;
@@ -1,29 +1,115 @@
 // src/customErrors.js
 
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+const { getStatusText } = require('./httpStatus');
+
 /**
  * Base class for all custom errors.
- * Extends the built-in Error class to include additional properties such as statusCode.
+ * Extends the built-in Error class to include additional properties such as statusCode,
+ * a machine-readable error code and structured details.
  *
  * @extends Error
  */
 class CustomError extends Error {
+  /**
+   * Key of the default message in the message catalogs. Each built-in subclass
+   * has its own key, used when no message is passed to the constructor.
+   */
+  static messageKey = 'errors.custom';
+
   /**
    * Creates an instance of CustomError.
    *
+   * Without a message, the English message of `options.messageKey` (or of the
+   * class's `messageKey`) is used, and `errorHandler` sends the client a
+   * translation of it. Explicit messages are sent as they are.
+   *
    * @param {string} [message='An error occurred.'] - The error message.
    * @param {number} [statusCode=500] - The HTTP status code associated with the error.
    * @param {string} [name='CustomError'] - The name of the error.
+   * @param {Object} [options={}] - Additional error options.
+   * @param {string} [options.code] - A stable, machine-readable application error code
+   *                                  (e.g. 'USER_EMAIL_TAKEN'). Sent to the client.
+   * @param {*} [options.details] - A structured payload describing the error. Sent to the client.
+   * @param {*} [options.cause] - The underlying error. Kept server-side and never sent to the client.
+   * @param {Object<string, string>} [options.headers] - Extra response headers sent with the error response.
+   * @param {string} [options.messageKey] - The catalog key of a translatable message (e.g. 'user.notFound').
+   * @param {Object} [options.params] - Parameters filling the `{name}` placeholders of the message.
    */
-  constructor(
-    message = 'An error occurred.',
-    statusCode = 500,
-    name = 'CustomError',
-  ) {
-    super(message);
+  constructor(message, statusCode = 500, name = 'CustomError', options = {}) {
+    const { code, details, cause, headers, messageKey, params } = options || {};
+    const defaultKey = new.target.messageKey;
+    const key = messageKey || (message === undefined ? defaultKey : undefined);
+
+    // Messages are always created in the default locale, so logs stay in one language
+    super(
+      message !== undefined
+        ? message
+        : translate(key, DEFAULT_LOCALE, params) ||
+            translate(defaultKey, DEFAULT_LOCALE, params),
+    );
     this.name = name;
     this.statusCode = statusCode;
-    Error.captureStackTrace(this, this.constructor);
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+
+    // Mirror the native `cause` semantics: present but not enumerable, so it is not serialized
+    if (cause !== undefined) {
+      Object.defineProperty(this, 'cause', {
+        value: cause,
+        writable: true,
+        configurable: true,
+        enumerable: false,
+      });
+    }
+
+    // Kept out of serialized errors and Problem Details extension members
+    if (key !== undefined) {
+      Object.defineProperty(this, 'messageKey', {
+        value: key,
+        writable: true,
+        configurable: true,
+        enumerable: false,
+      });
+    }
+    if (params !== undefined) {
+      Object.defineProperty(this, 'params', {
+        value: params,
+        writable: true,
+        configurable: true,
+        enumerable: false,
+      });
+    }
+
+    // V8-specific; not available in every runtime
+    if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+
+  /**
+   * Returns the response headers to send with this error.
+   * Subclasses extend this to add headers required by their status code.
+   *
+   * @returns {Object<string, string>} The response headers.
+   */
+  getHeaders() {
+    return { ...this.headers };
+  }
+}
+
+/**
+ * Formats a Retry-After value as delay-seconds or an HTTP date.
+ *
+ * @param {number|Date} retryAfter - Seconds to wait, or the date after which to retry.
+ * @returns {string} The Retry-After header value.
+ */
+function formatRetryAfter(retryAfter) {
+  if (retryAfter instanceof Date) {
+    return retryAfter.toUTCString();
   }
+  return String(Math.max(0, Math.ceil(Number(retryAfter))));
 }
 
 /**
@@ -33,16 +119,17 @@ class CustomError extends Error {
  * @extends CustomError
  */
 class BadRequestError extends CustomError {
+  static messageKey = 'errors.badRequest';
+
   /**
    * Creates an instance of BadRequestError.
    *
    * @param {string} [message='It seems there was an error with your request. Please check the data you entered and try again.']
    *        - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'It seems there was an error with your request. Please check the data you entered and try again.',
-  ) {
-    super(message, 400, 'BadRequestError');
+  constructor(message, options = {}) {
+    super(message, 400, 'BadRequestError', options);
   }
 }
 
@@ -53,13 +140,32 @@ class BadRequestError extends CustomError {
  * @extends CustomError
  */
 class UnauthorizedError extends CustomError {
+  static messageKey = 'errors.unauthorized';
+
   /**
    * Creates an instance of UnauthorizedError.
    *
    * @param {string} [message='Unauthorized access. Please log in again.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {string|string[]} [options.authenticate] - Authentication challenge(s) sent in the
+   *        WWW-Authenticate header (e.g. 'Bearer realm="api"').
+   */
+  constructor(message, options = {}) {
+    super(message, 401, 'UnauthorizedError', options);
+    this.authenticate = (options || {}).authenticate;
+  }
+
+  /**
+   * Adds the WWW-Authenticate header when challenges are provided.
+   *
+   * @returns {Object<string, string>} The response headers.
    */
-  constructor(message = 'Unauthorized access. Please log in again.') {
-    super(message, 401, 'UnauthorizedError');
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.authenticate !== undefined) {
+      headers['WWW-Authenticate'] = [].concat(this.authenticate).join(', ');
+    }
+    return headers;
   }
 }
 
@@ -70,13 +176,16 @@ class UnauthorizedError extends CustomError {
  * @extends CustomError
  */
 class PaymentRequiredError extends CustomError {
+  static messageKey = 'errors.paymentRequired';
+
   /**
    * Creates an instance of PaymentRequiredError.
    *
    * @param {string} [message='Payment is required to access this resource.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'Payment is required to access this resource.') {
-    super(message, 402, 'PaymentRequiredError');
+  constructor(message, options = {}) {
+    super(message, 402, 'PaymentRequiredError', options);
   }
 }
 
@@ -87,13 +196,16 @@ class PaymentRequiredError extends CustomError {
  * @extends CustomError
  */
 class ForbiddenError extends CustomError {
+  static messageKey = 'errors.forbidden';
+
   /**
    * Creates an instance of ForbiddenError.
    *
    * @param {string} [message='Access denied.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'Access denied.') {
-    super(message, 403, 'ForbiddenError');
+  constructor(message, options = {}) {
+    super(message, 403, 'ForbiddenError', options);
   }
 }
 
@@ -104,13 +216,16 @@ class ForbiddenError extends CustomError {
  * @extends CustomError
  */
 class NotFoundError extends CustomError {
+  static messageKey = 'errors.notFound';
+
   /**
    * Creates an instance of NotFoundError.
    *
    * @param {string} [message='The requested resource was not found.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'The requested resource was not found.') {
-    super(message, 404, 'NotFoundError');
+  constructor(message, options = {}) {
+    super(message, 404, 'NotFoundError', options);
   }
 }
 
@@ -121,15 +236,34 @@ class NotFoundError extends CustomError {
  * @extends CustomError
  */
 class MethodNotAllowedError extends CustomError {
+  static messageKey = 'errors.methodNotAllowed';
+
   /**
    * Creates an instance of MethodNotAllowedError.
    *
    * @param {string} [message='The HTTP method used is not allowed for this resource.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {string[]} [options.allowedMethods] - The methods supported by the resource,
+   *        sent in the Allow header.
    */
-  constructor(
-    message = 'The HTTP method used is not allowed for this resource.',
-  ) {
-    super(message, 405, 'MethodNotAllowedError');
+  constructor(message, options = {}) {
+    super(message, 405, 'MethodNotAllowedError', options);
+    this.allowedMethods = (options || {}).allowedMethods;
+  }
+
+  /**
+   * Adds the Allow header when the allowed methods are known.
+   *
+   * @returns {Object<string, string>} The response headers.
+   */
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (Array.isArray(this.allowedMethods)) {
+      headers.Allow = this.allowedMethods
+        .map((method) => method.toUpperCase())
+        .join(', ');
+    }
+    return headers;
   }
 }
 
@@ -140,17 +274,18 @@ class MethodNotAllowedError extends CustomError {
  * @extends CustomError
  */
 class NotAcceptableError extends CustomError {
+  static messageKey = 'errors.notAcceptable';
+
   /**
    * Creates an instance of NotAcceptableError.
    *
    * @param {string} [
    *   message='The requested resource is not available in a format acceptable to your browser.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'The requested resource is not available in a format acceptable to your browser.',
-  ) {
-    super(message, 406, 'NotAcceptableError');
+  constructor(message, options = {}) {
+    super(message, 406, 'NotAcceptableError', options);
   }
 }
 
@@ -161,13 +296,16 @@ class NotAcceptableError extends CustomError {
  * @extends CustomError
  */
 class RequestTimeoutError extends CustomError {
+  static messageKey = 'errors.requestTimeout';
+
   /**
    * Creates an instance of RequestTimeoutError.
    *
    * @param {string} [message='The server timed out waiting for your request.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'The server timed out waiting for your request.') {
-    super(message, 408, 'RequestTimeoutError');
+  constructor(message, options = {}) {
+    super(message, 408, 'RequestTimeoutError', options);
   }
 }
 
@@ -178,15 +316,76 @@ class RequestTimeoutError extends CustomError {
  * @extends CustomError
  */
 class ConflictError extends CustomError {
+  static messageKey = 'errors.conflict';
+
   /**
    * Creates an instance of ConflictError.
    *
    * @param {string} [message='A conflict occurred with the current state of the resource.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'A conflict occurred with the current state of the resource.',
-  ) {
-    super(message, 409, 'ConflictError');
+  constructor(message, options = {}) {
+    super(message, 409, 'ConflictError', options);
+  }
+}
+
+/**
+ * Represents a Gone error (HTTP 410).
+ * Indicates that the target resource is no longer available and will not be available again.
+ *
+ * @extends CustomError
+ */
+class GoneError extends CustomError {
+  static messageKey = 'errors.gone';
+
+  /**
+   * Creates an instance of GoneError.
+   *
+   * @param {string} [message='The requested resource is no longer available.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 410, 'GoneError', options);
+  }
+}
+
+/**
+ * Represents a Length Required error (HTTP 411).
+ * Indicates that the server refuses the request without a defined Content-Length.
+ *
+ * @extends CustomError
+ */
+class LengthRequiredError extends CustomError {
+  static messageKey = 'errors.lengthRequired';
+
+  /**
+   * Creates an instance of LengthRequiredError.
+   *
+   * @param {string} [message='The request must include a Content-Length header.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 411, 'LengthRequiredError', options);
+  }
+}
+
+/**
+ * Represents a Precondition Failed error (HTTP 412).
+ * Indicates that a condition in the request headers (e.g. If-Match) evaluated to false.
+ *
+ * @extends CustomError
+ */
+class PreconditionFailedError extends CustomError {
+  static messageKey = 'errors.preconditionFailed';
+
+  /**
+   * Creates an instance of PreconditionFailedError.
+   *
+   * @param {string} [message='A precondition of the request was not met.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 412, 'PreconditionFailedError', options);
   }
 }
 
@@ -197,13 +396,294 @@ class ConflictError extends CustomError {
  * @extends CustomError
  */
 class PayloadTooLargeError extends CustomError {
+  static messageKey = 'errors.payloadTooLarge';
+
   /**
    * Creates an instance of PayloadTooLargeError.
    *
    * @param {string} [message='The request payload is too large.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 413, 'PayloadTooLargeError', options);
+  }
+}
+
+/**
+ * Represents an Unsupported Media Type error (HTTP 415).
+ * Indicates that the request payload is in a format the server does not support.
+ *
+ * @extends CustomError
+ */
+class UnsupportedMediaTypeError extends CustomError {
+  static messageKey = 'errors.unsupportedMediaType';
+
+  /**
+   * Creates an instance of UnsupportedMediaTypeError.
+   *
+   * @param {string} [message='The request payload format is not supported.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 415, 'UnsupportedMediaTypeError', options);
+  }
+}
+
+/**
+ * Represents a Range Not Satisfiable error (HTTP 416).
+ * Indicates that none of the ranges in the Range header overlap the current extent of the resource.
+ *
+ * @extends CustomError
+ */
+class RangeNotSatisfiableError extends CustomError {
+  static messageKey = 'errors.rangeNotSatisfiable';
+
+  /**
+   * Creates an instance of RangeNotSatisfiableError.
+   *
+   * @param {string} [message='The requested range cannot be satisfied.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {number} [options.size] - The current length of the resource in bytes, sent in the
+   *        Content-Range header.
+   */
+  constructor(message, options = {}) {
+    super(message, 416, 'RangeNotSatisfiableError', options);
+    this.size = (options || {}).size;
+  }
+
+  /**
+   * Adds the Content-Range header when the resource length is known.
+   *
+   * @returns {Object<string, string>} The response headers.
+   */
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.size !== undefined) {
+      headers['Content-Range'] = `bytes */${this.size}`;
+    }
+    return headers;
+  }
+}
+
+/**
+ * Represents an Expectation Failed error (HTTP 417).
+ * Indicates that the expectation given in the Expect header could not be met.
+ *
+ * @extends CustomError
+ */
+class ExpectationFailedError extends CustomError {
+  static messageKey = 'errors.expectationFailed';
+
+  /**
+   * Creates an instance of ExpectationFailedError.
+   *
+   * @param {string} [message='The expectation given in the Expect header could not be met.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 417, 'ExpectationFailedError', options);
+  }
+}
+
+/**
+ * Represents an I'm a Teapot error (HTTP 418).
+ * Indicates that the server refuses to brew coffee because it is, permanently, a teapot.
+ *
+ * @extends CustomError
+ */
+class ImATeapotError extends CustomError {
+  static messageKey = 'errors.imATeapot';
+
+  /**
+   * Creates an instance of ImATeapotError.
+   *
+   * @param {string} [message='I'm a teapot.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 418, 'ImATeapotError', options);
+  }
+}
+
+/**
+ * Represents a Misdirected Request error (HTTP 421).
+ * Indicates that the request was directed at a server that is not able to produce a response.
+ *
+ * @extends CustomError
+ */
+class MisdirectedRequestError extends CustomError {
+  static messageKey = 'errors.misdirectedRequest';
+
+  /**
+   * Creates an instance of MisdirectedRequestError.
+   *
+   * @param {string} [message='The request was directed at a server that cannot produce a response.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 421, 'MisdirectedRequestError', options);
+  }
+}
+
+/**
+ * Represents an Unprocessable Entity error (HTTP 422).
+ * Indicates that the request is well-formed but its instructions cannot be processed. Use `ValidationError` for field-level validation failures.
+ *
+ * @extends CustomError
+ */
+class UnprocessableEntityError extends CustomError {
+  static messageKey = 'errors.unprocessableEntity';
+
+  /**
+   * Creates an instance of UnprocessableEntityError.
+   *
+   * @param {string} [message='The request could not be processed.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'The request payload is too large.') {
-    super(message, 413, 'PayloadTooLargeError');
+  constructor(message, options = {}) {
+    super(message, 422, 'UnprocessableEntityError', options);
+  }
+}
+
+/**
+ * Represents a Validation error (HTTP 422 by default).
+ * Indicates that the request data failed validation. Holds every field-level issue
+ * so that clients can highlight all invalid fields at once.
+ *
+ * @extends CustomError
+ */
+class ValidationError extends CustomError {
+  static messageKey = 'errors.validation';
+
+  /**
+   * Creates an instance of ValidationError.
+   *
+   * @param {string} [message='The submitted data is invalid.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {Array<{path: string, message: string, rule?: string}>} [options.fields=[]]
+   *        - The field-level issues. `path` uses dot notation (e.g. 'items.0.name').
+   * @param {number} [options.statusCode=422] - The HTTP status code (422 or 400).
+   */
+  constructor(message, options = {}) {
+    const { fields = [], statusCode = 422 } = options || {};
+    super(message, statusCode, 'ValidationError', options);
+    this.fields = fields;
+  }
+}
+
+/**
+ * Represents a Locked error (HTTP 423).
+ * Indicates that the resource being accessed is locked.
+ *
+ * @extends CustomError
+ */
+class LockedError extends CustomError {
+  static messageKey = 'errors.locked';
+
+  /**
+   * Creates an instance of LockedError.
+   *
+   * @param {string} [message='The resource is locked.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 423, 'LockedError', options);
+  }
+}
+
+/**
+ * Represents a Failed Dependency error (HTTP 424).
+ * Indicates that the request failed because it depended on another request that failed.
+ *
+ * @extends CustomError
+ */
+class FailedDependencyError extends CustomError {
+  static messageKey = 'errors.failedDependency';
+
+  /**
+   * Creates an instance of FailedDependencyError.
+   *
+   * @param {string} [message='The request failed because a request it depends on failed.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 424, 'FailedDependencyError', options);
+  }
+}
+
+/**
+ * Represents a Too Early error (HTTP 425).
+ * Indicates that the server is unwilling to process a request that might be replayed.
+ *
+ * @extends CustomError
+ */
+class TooEarlyError extends CustomError {
+  static messageKey = 'errors.tooEarly';
+
+  /**
+   * Creates an instance of TooEarlyError.
+   *
+   * @param {string} [message='The server is unwilling to process a request that might be replayed.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 425, 'TooEarlyError', options);
+  }
+}
+
+/**
+ * Represents an Upgrade Required error (HTTP 426).
+ * Indicates that the server refuses the request using the current protocol but might accept it after an upgrade.
+ *
+ * @extends CustomError
+ */
+class UpgradeRequiredError extends CustomError {
+  static messageKey = 'errors.upgradeRequired';
+
+  /**
+   * Creates an instance of UpgradeRequiredError.
+   *
+   * @param {string} [message='The client must switch to a different protocol.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {string|string[]} [options.upgrade] - The required protocol(s) (e.g. 'TLS/1.3'), sent in the
+   *        Upgrade header.
+   */
+  constructor(message, options = {}) {
+    super(message, 426, 'UpgradeRequiredError', options);
+    this.upgrade = (options || {}).upgrade;
+  }
+
+  /**
+   * Adds the Upgrade header when the required protocols are provided.
+   *
+   * @returns {Object<string, string>} The response headers.
+   */
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.upgrade !== undefined) {
+      headers.Upgrade = [].concat(this.upgrade).join(', ');
+    }
+    return headers;
+  }
+}
+
+/**
+ * Represents a Precondition Required error (HTTP 428).
+ * Indicates that the server requires the request to be conditional (e.g. with If-Match).
+ *
+ * @extends CustomError
+ */
+class PreconditionRequiredError extends CustomError {
+  static messageKey = 'errors.preconditionRequired';
+
+  /**
+   * Creates an instance of PreconditionRequiredError.
+   *
+   * @param {string} [message='The request must be conditional.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 428, 'PreconditionRequiredError', options);
   }
 }
 
@@ -214,17 +694,90 @@ class PayloadTooLargeError extends CustomError {
  * @extends CustomError
  */
 class TooManyRequestsError extends CustomError {
+  static messageKey = 'errors.tooManyRequests';
+
   /**
    * Creates an instance of TooManyRequestsError.
    *
    * @param {string} [
    *   message='You have made too many requests in a short period of time.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {number|Date} [options.retryAfter] - Seconds to wait, or the date after which to retry,
+   *        sent in the Retry-After header.
    */
-  constructor(
-    message = 'You have made too many requests in a short period of time.',
-  ) {
-    super(message, 429, 'TooManyRequestsError');
+  constructor(message, options = {}) {
+    super(message, 429, 'TooManyRequestsError', options);
+    this.retryAfter = (options || {}).retryAfter;
+  }
+
+  /**
+   * Adds the Retry-After header when a retry delay is provided.
+   *
+   * @returns {Object<string, string>} The response headers.
+   */
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.retryAfter !== undefined) {
+      headers['Retry-After'] = formatRetryAfter(this.retryAfter);
+    }
+    return headers;
+  }
+}
+
+/**
+ * Represents a Request Header Fields Too Large error (HTTP 431).
+ * Indicates that the request header fields, individually or together, are too large.
+ *
+ * @extends CustomError
+ */
+class RequestHeaderFieldsTooLargeError extends CustomError {
+  static messageKey = 'errors.requestHeaderFieldsTooLarge';
+
+  /**
+   * Creates an instance of RequestHeaderFieldsTooLargeError.
+   *
+   * @param {string} [message='The request header fields are too large.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   */
+  constructor(message, options = {}) {
+    super(message, 431, 'RequestHeaderFieldsTooLargeError', options);
+  }
+}
+
+/**
+ * Represents an Unavailable For Legal Reasons error (HTTP 451).
+ * Indicates that the resource cannot be provided because of a legal demand.
+ *
+ * @extends CustomError
+ */
+class UnavailableForLegalReasonsError extends CustomError {
+  static messageKey = 'errors.unavailableForLegalReasons';
+
+  /**
+   * Creates an instance of UnavailableForLegalReasonsError.
+   *
+   * @param {string} [message='The requested resource is unavailable for legal reasons.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {string} [options.blockedBy] - A URL identifying the entity blocking access, sent in a
+   *        Link header with the "blocked-by" relation.
+   */
+  constructor(message, options = {}) {
+    super(message, 451, 'UnavailableForLegalReasonsError', options);
+    this.blockedBy = (options || {}).blockedBy;
+  }
+
+  /**
+   * Adds the Link header when the blocking entity is known.
+   *
+   * @returns {Object<string, string>} The response headers.
+   */
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.blockedBy !== undefined) {
+      headers.Link = `<${this.blockedBy}>; rel="blocked-by"`;
+    }
+    return headers;
   }
 }
 
@@ -235,17 +788,18 @@ class TooManyRequestsError extends CustomError {
  * @extends CustomError
  */
 class InternalServerError extends CustomError {
+  static messageKey = 'errors.internalServer';
+
   /**
    * Creates an instance of InternalServerError.
    *
    * @param {string} [
    *   message='An internal server error occurred. Please try again later.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'An internal server error occurred. Please try again later.',
-  ) {
-    super(message, 500, 'InternalServerError');
+  constructor(message, options = {}) {
+    super(message, 500, 'InternalServerError', options);
   }
 }
 
@@ -256,13 +810,16 @@ class InternalServerError extends CustomError {
  * @extends CustomError
  */
 class NotImplementedError extends CustomError {
+  static messageKey = 'errors.notImplemented';
+
   /**
    * Creates an instance of NotImplementedError.
    *
    * @param {string} [message='This functionality has not been implemented.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'This functionality has not been implemented.') {
-    super(message, 501, 'NotImplementedError');
+  constructor(message, options = {}) {
+    super(message, 501, 'NotImplementedError', options);
   }
 }
 
@@ -273,17 +830,18 @@ class NotImplementedError extends CustomError {
  * @extends CustomError
  */
 class BadGatewayError extends CustomError {
+  static messageKey = 'errors.badGateway';
+
   /**
    * Creates an instance of BadGatewayError.
    *
    * @param {string} [
    *   message='Received an invalid response from the upstream server.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'Received an invalid response from the upstream server.',
-  ) {
-    super(message, 502, 'BadGatewayError');
+  constructor(message, options = {}) {
+    super(message, 502, 'BadGatewayError', options);
   }
 }
 
@@ -294,13 +852,32 @@ class BadGatewayError extends CustomError {
  * @extends CustomError
  */
 class ServiceUnavailableError extends CustomError {
+  static messageKey = 'errors.serviceUnavailable';
+
   /**
    * Creates an instance of ServiceUnavailableError.
    *
    * @param {string} [message='The service is currently unavailable.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
+   * @param {number|Date} [options.retryAfter] - Seconds to wait, or the date after which to retry,
+   *        sent in the Retry-After header.
+   */
+  constructor(message, options = {}) {
+    super(message, 503, 'ServiceUnavailableError', options);
+    this.retryAfter = (options || {}).retryAfter;
+  }
+
+  /**
+   * Adds the Retry-After header when a retry delay is provided.
+   *
+   * @returns {Object<string, string>} The response headers.
    */
-  constructor(message = 'The service is currently unavailable.') {
-    super(message, 503, 'ServiceUnavailableError');
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.retryAfter !== undefined) {
+      headers['Retry-After'] = formatRetryAfter(this.retryAfter);
+    }
+    return headers;
   }
 }
 
@@ -311,17 +888,18 @@ class ServiceUnavailableError extends CustomError {
  * @extends CustomError
  */
 class GatewayTimeoutError extends CustomError {
+  static messageKey = 'errors.gatewayTimeout';
+
   /**
    * Creates an instance of GatewayTimeoutError.
    *
    * @param {string} [
    *   message='The upstream server failed to send a request in time.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'The upstream server failed to send a request in time.',
-  ) {
-    super(message, 504, 'GatewayTimeoutError');
+  constructor(message, options = {}) {
+    super(message, 504, 'GatewayTimeoutError', options);
   }
 }
 
@@ -332,17 +910,18 @@ class GatewayTimeoutError extends CustomError {
  * @extends CustomError
  */
 class HTTPVersionNotSupportedError extends CustomError {
+  static messageKey = 'errors.httpVersionNotSupported';
+
   /**
    * Creates an instance of HTTPVersionNotSupportedError.
    *
    * @param {string} [
    *   message='The server does not support the HTTP protocol version used in the request.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'The server does not support the HTTP protocol version used in the request.',
-  ) {
-    super(message, 505, 'HTTPVersionNotSupportedError');
+  constructor(message, options = {}) {
+    super(message, 505, 'HTTPVersionNotSupportedError', options);
   }
 }
 
@@ -353,13 +932,16 @@ class HTTPVersionNotSupportedError extends CustomError {
  * @extends CustomError
  */
 class VariantAlsoNegotiatesError extends CustomError {
+  static messageKey = 'errors.variantAlsoNegotiates';
+
   /**
    * Creates an instance of VariantAlsoNegotiatesError.
    *
    * @param {string} [message='Variant Also Negotiates.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'Variant Also Negotiates.') {
-    super(message, 506, 'VariantAlsoNegotiatesError');
+  constructor(message, options = {}) {
+    super(message, 506, 'VariantAlsoNegotiatesError', options);
   }
 }
 
@@ -370,17 +952,18 @@ class VariantAlsoNegotiatesError extends CustomError {
  * @extends CustomError
  */
 class InsufficientStorageError extends CustomError {
+  static messageKey = 'errors.insufficientStorage';
+
   /**
    * Creates an instance of InsufficientStorageError.
    *
    * @param {string} [
    *   message='The server is unable to store the representation needed to complete the request.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'The server is unable to store the representation needed to complete the request.',
-  ) {
-    super(message, 507, 'InsufficientStorageError');
+  constructor(message, options = {}) {
+    super(message, 507, 'InsufficientStorageError', options);
   }
 }
 
@@ -391,13 +974,16 @@ class InsufficientStorageError extends CustomError {
  * @extends CustomError
  */
 class BandwidthLimitExceededError extends CustomError {
+  static messageKey = 'errors.bandwidthLimitExceeded';
+
   /**
    * Creates an instance of BandwidthLimitExceededError.
    *
    * @param {string} [message='Bandwidth limit exceeded.'] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(message = 'Bandwidth limit exceeded.') {
-    super(message, 509, 'BandwidthLimitExceededError');
+  constructor(message, options = {}) {
+    super(message, 509, 'BandwidthLimitExceededError', options);
   }
 }
 
@@ -408,21 +994,137 @@ class BandwidthLimitExceededError extends CustomError {
  * @extends CustomError
  */
 class NetworkAuthenticationRequiredError extends CustomError {
+  static messageKey = 'errors.networkAuthenticationRequired';
+
   /**
    * Creates an instance of NetworkAuthenticationRequiredError.
    *
    * @param {string} [
    *   message='Network authentication is required to access this resource.'
    * ] - The error message.
+   * @param {Object} [options={}] - Additional error options (`code`, `details`, `cause`, `headers`).
    */
-  constructor(
-    message = 'Network authentication is required to access this resource.',
+  constructor(message, options = {}) {
+    super(message, 511, 'NetworkAuthenticationRequiredError', options);
+  }
+}
+
+/**
+ * Built-in error classes, keyed by status code. `ValidationError` (422 or 400) is
+ * only used by `createHttpError` for errors with field-level issues.
+ */
+const HTTP_ERROR_CLASSES = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  402: PaymentRequiredError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  405: MethodNotAllowedError,
+  406: NotAcceptableError,
+  408: RequestTimeoutError,
+  409: ConflictError,
+  410: GoneError,
+  411: LengthRequiredError,
+  412: PreconditionFailedError,
+  413: PayloadTooLargeError,
+  415: UnsupportedMediaTypeError,
+  416: RangeNotSatisfiableError,
+  417: ExpectationFailedError,
+  418: ImATeapotError,
+  421: MisdirectedRequestError,
+  422: UnprocessableEntityError,
+  423: LockedError,
+  424: FailedDependencyError,
+  425: TooEarlyError,
+  426: UpgradeRequiredError,
+  428: PreconditionRequiredError,
+  429: TooManyRequestsError,
+  431: RequestHeaderFieldsTooLargeError,
+  451: UnavailableForLegalReasonsError,
+  500: InternalServerError,
+  501: NotImplementedError,
+  502: BadGatewayError,
+  503: ServiceUnavailableError,
+  504: GatewayTimeoutError,
+  505: HTTPVersionNotSupportedError,
+  506: VariantAlsoNegotiatesError,
+  507: InsufficientStorageError,
+  509: BandwidthLimitExceededError,
+  511: NetworkAuthenticationRequiredError,
+};
+
+/**
+ * Creates the error matching an HTTP status code, for code that only knows the
+ * numeric status (e.g. from an upstream service). Statuses without a built-in
+ * class become a `CustomError` named after the reason phrase (e.g. 414 becomes
+ * 'URITooLongError'). With `fields`, 400 and 422 become a `ValidationError`.
+ *
+ * @param {number} status - A 4xx or 5xx status code.
+ * @param {string} [message] - The error message. Defaults to the class's default
+ *        message (or the reason phrase). May be omitted, passing `props` second.
+ * @param {Object} [props={}] - Error options (`code`, `details`, `cause`, `headers`,
+ *        `retryAfter`, `fields`, ...), as accepted by the class constructor.
+ *
+ * @returns {CustomError} The error.
+ *
+ * @example
+ *
+ * const upstream = await fetch(url);
+ * if (!upstream.ok) {
+ *   throw createHttpError(upstream.status, { details: { upstream: url } });
+ * }
+ */
+function createHttpError(status, message, props) {
+  const statusCode = Number(status);
+  if (!Number.isInteger(statusCode) || statusCode < 400 || statusCode > 599) {
+    throw new TypeError('createHttpError expects a 4xx or 5xx status code.');
+  }
+
+  const hasMessage = typeof message !== 'object' || message === null;
+  const errorMessage = hasMessage && message !== null ? message : undefined;
+  const options = (hasMessage ? props : message) || {};
+
+  if (
+    Array.isArray(options.fields) &&
+    (statusCode === 400 || statusCode === 422)
   ) {
-    super(message, 511, 'NetworkAuthenticationRequiredError');
+    return new ValidationError(errorMessage, { ...options, statusCode });
+  }
+
+  const ErrorClass = HTTP_ERROR_CLASSES[statusCode];
+  if (ErrorClass) {
+    return new ErrorClass(errorMessage, options);
   }
+
+  const statusText = getStatusText(statusCode);
+  const name = statusText.replace(/[^A-Za-z0-9]+/g, '');
+  return new CustomError(
+    errorMessage !== undefined ? errorMessage : `${statusText}.`,
+    statusCode,
+    name.endsWith('Error') ? name : `${name}Error`,
+    options,
+  );
+}
+
+/**
+ * Determines whether a value is a `CustomError` with a 4xx or 5xx status code,
+ * optionally a specific one.
+ *
+ * @param {*} value - The value to check.
+ * @param {number} [status] - The expected status code.
+ * @returns {boolean}
+ */
+function isHttpError(value, status) {
+  return (
+    value instanceof CustomError &&
+    Number.isInteger(value.statusCode) &&
+    value.statusCode >= 400 &&
+    value.statusCode <= 599 &&
+    (status === undefined || value.statusCode === Number(status))
+  );
 }
 
-// Export all error classes for external use
+// Export all error classes and helpers for external use
 module.exports = {
   CustomError,
   BadRequestError,
@@ -434,8 +1136,25 @@ module.exports = {
   NotAcceptableError,
   RequestTimeoutError,
   ConflictError,
+  GoneError,
+  LengthRequiredError,
+  PreconditionFailedError,
   PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  RangeNotSatisfiableError,
+  ExpectationFailedError,
+  ImATeapotError,
+  MisdirectedRequestError,
+  UnprocessableEntityError,
+  ValidationError,
+  LockedError,
+  FailedDependencyError,
+  TooEarlyError,
+  UpgradeRequiredError,
+  PreconditionRequiredError,
   TooManyRequestsError,
+  RequestHeaderFieldsTooLargeError,
+  UnavailableForLegalReasonsError,
   InternalServerError,
   NotImplementedError,
   BadGatewayError,
@@ -446,4 +1165,6 @@ module.exports = {
   InsufficientStorageError,
   BandwidthLimitExceededError,
   NetworkAuthenticationRequiredError,
+  createHttpError,
+  isHttpError,
 };
@@ -0,0 +1,71 @@
+// src/debug.js
+
+const { serializeError } = require('./logger');
+
+/**
+ * Determines whether debug responses are enabled.
+ * Debug output is never enabled in production, regardless of the option.
+ *
+ * @param {boolean} [option] - The `debug` option passed to `errorHandler`.
+ * @returns {boolean}
+ */
+function isDebugEnabled(option) {
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+
+  if (env.NODE_ENV === 'production') {
+    return false;
+  }
+  if (option === undefined) {
+    return env.NODE_ENV === 'development';
+  }
+  return Boolean(option);
+}
+
+/**
+ * Splits a stack trace into its individual frames.
+ *
+ * @param {string} [stack] - The stack trace.
+ * @returns {string[]} The stack frames, without the leading message line.
+ */
+function toStackFrames(stack) {
+  if (typeof stack !== 'string') {
+    return [];
+  }
+  return stack
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('at '));
+}
+
+/**
+ * Converts a serialized error into debug information with stack frames.
+ *
+ * @param {Object} serialized - An error serialized by `serializeError`.
+ * @returns {Object} The debug information.
+ */
+function toDebugEntry(serialized) {
+  const { stack, cause, ...rest } = serialized;
+  const entry = { ...rest, stack: toStackFrames(stack) };
+
+  if (cause) {
+    entry.cause = toDebugEntry(cause);
+  }
+  return entry;
+}
+
+/**
+ * Builds the debug information included in development error responses:
+ * the original error name and message, its stack frames and the full cause chain.
+ *
+ * @param {*} error - The handled error.
+ * @returns {Object|undefined} The debug information.
+ */
+function createDebugInfo(error) {
+  const serialized = serializeError(error);
+  return serialized ? toDebugEntry(serialized) : undefined;
+}
+
+module.exports = {
+  isDebugEnabled,
+  createDebugInfo,
+};
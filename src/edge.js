@@ -0,0 +1,145 @@
+// src/edge.js
+
+const { resolveParams, resolveRequestId } = require('./requestContext');
+const { createErrorResponder, toWebResponse } = require('./errorResponder');
+const { runHooks } = require('./hooks');
+const { recordMetrics } = require('./metrics');
+const { toRateLimiter } = require('./rateLimit');
+
+/**
+ * Wraps a `middleware.js` function or an Edge runtime route handler
+ * (`export const runtime = 'edge'`) to provide centralized error handling.
+ *
+ * Unlike `errorHandler`, it never looks for a Pages Router `res` object and only
+ * uses Web APIs (`Request`, `Response`, `Headers`, Web Crypto), so it is safe to run
+ * in the Edge runtime. The handler receives the same arguments as the wrapper, such as
+ * `(request, event)` in middleware or `(request, context)` in route handlers.
+ *
+ * Whatever the handler returns is passed through untouched apart from the correlation
+ * ID header, including `NextResponse.next()`, rewrites, redirects and `undefined`
+ * (which lets middleware continue). Thrown errors are mapped, logged and rendered like
+ * in `errorHandler` and returned as a `Response`, which Next.js accepts wherever a
+ * `NextResponse` is expected.
+ *
+ * @param {Function} handler - The middleware or Edge route handler to be wrapped.
+ * @param {Object} [options={}] - The `errorHandler` options, except those specific to API Routes.
+ *
+ * @returns {Function} A wrapped handler returning a Response, or the handler's result.
+ *
+ * @example
+ *
+ * // middleware.js
+ * import { NextResponse } from 'next/server';
+ * import { edgeErrorHandler, UnauthorizedError } from 'nextjs-centralized-error-handler';
+ *
+ * export const middleware = edgeErrorHandler(async (request) => {
+ *   if (!request.cookies.get('session')) {
+ *     throw new UnauthorizedError('Please sign in.');
+ *   }
+ *   return NextResponse.next();
+ * });
+ *
+ * export const config = { matcher: '/api/:path*' };
+ */
+function edgeErrorHandler(handler, options = {}) {
+  const {
+    requestIdHeader = 'x-request-id', // Header carrying the correlation ID
+    generateRequestId = undefined, // Function to create new correlation IDs
+    afterResponse = undefined, // Hooks run once the error response is created
+    metrics = undefined, // Opt-in metrics collector
+    route = undefined, // Route label used by the metrics collector
+    rateLimit = undefined, // Opt-in rate limiter or its options
+  } = options;
+
+  const respond = createErrorResponder(options);
+  const limiter = toRateLimiter(rateLimit);
+
+  /**
+   * The wrapped middleware or Edge route handler.
+   *
+   * @param {Request} request - The incoming request (usually a NextRequest).
+   * @param {...*} args - Additional arguments, such as the NextFetchEvent or route context.
+   *
+   * @returns {Promise<Response|undefined>}
+   */
+  return async (request, ...args) => {
+    const startTime = Date.now();
+    const requestId = resolveRequestId(
+      request,
+      requestIdHeader,
+      generateRequestId,
+    );
+
+    let rateLimitHeaders = {};
+
+    try {
+      if (limiter) {
+        rateLimitHeaders = await limiter.check(request);
+      }
+
+      const response = await handler(request, ...args);
+
+      if (response && response.headers) {
+        try {
+          Object.keys(rateLimitHeaders).forEach((name) => {
+            response.headers.set(name, rateLimitHeaders[name]);
+          });
+          response.headers.set(requestIdHeader, requestId);
+        } catch (headersError) {
+          // Some responses (e.g. from fetch or Response.redirect) have immutable headers
+        }
+      }
+
+      recordMetrics(metrics, {
+        route,
+        statusCode: response && response.status ? response.status : 200,
+        duration: Date.now() - startTime,
+      });
+
+      return response;
+    } catch (thrown) {
+      const context = {
+        requestId,
+        method: request ? request.method : undefined,
+        url: request ? request.url : undefined,
+        duration: Date.now() - startTime,
+      };
+
+      // Edge route handlers receive `{ params }`; middleware receives a NextFetchEvent
+      const params = await resolveParams(args[0]);
+      if (params !== undefined) {
+        context.params = params;
+      }
+
+      const result = await respond(
+        thrown,
+        request,
+        context,
+        'Edge Route Error:',
+      );
+      const response = toWebResponse(result, {
+        ...rateLimitHeaders,
+        [requestIdHeader]: requestId,
+      });
+
+      recordMetrics(metrics, {
+        route,
+        statusCode: result.statusCode,
+        duration: Date.now() - startTime,
+        error: result.error,
+      });
+
+      await runHooks('afterResponse', afterResponse, {
+        ...context,
+        req: request,
+        error: result.error,
+        statusCode: result.statusCode,
+        response,
+      });
+
+      return response;
+    }
+  };
+}
+
+module.exports = edgeErrorHandler;
@@ -1,6 +1,17 @@
 // src/errorHandler.js
 
-const { CustomError } = require('./customErrors');
+const {
+  isPagesResponse,
+  resolveParams,
+  resolveRequestId,
+} = require('./requestContext');
+const { createErrorResponder, toWebResponse } = require('./errorResponder');
+const { runHooks } = require('./hooks');
+const { recordMetrics } = require('./metrics');
+const { startDeadline, raceDeadline, guardResponse } = require('./timeout');
+const { monitorResponseBody } = require('./streaming');
+const { toRateLimiter } = require('./rateLimit');
+const { GatewayTimeoutError } = require('./customErrors');
 
 /**
  * A higher-order function that wraps Next.js API route handlers or App Router handlers
@@ -9,15 +20,89 @@ const { CustomError } = require('./customErrors');
  *
  * @param {Function} handler - The original route handler function to be wrapped.
  *                               For API Routes, it should accept (req, res).
- *                               For App Router, it should accept (req) and return a Response.
+ *                               For App Router, it should accept (req, context) and return a Response,
+ *                               where context holds the dynamic route `params`.
  * @param {Object} [options={}] - Optional configuration object to customize error handling.
- * @param {Function} [options.logger=console.error] - A logging function to log errors.
- *                                                     Defaults to console.error.
+ * @param {Function|Object} [options.logger=console] - The logger used to log errors. Either an object with
+ *                                                      `debug`, `info`, `warn` and `error` methods, called as
+ *                                                      logger[level](logMessage, record), or a function called as
+ *                                                      logger(logMessage, error, record). The record holds the level,
+ *                                                      requestId, method, url, duration (ms), route params, statusCode and the
+ *                                                      serialized error with its cause chain. Defaults to console.
+ * @param {Function} [options.getLogLevel] - Receives (statusCode, error) and returns the log level.
+ *                                           Defaults to 'warn' for 4xx and 'error' for 5xx responses.
  * @param {number} [options.defaultStatusCode=500] - The default HTTP status code for unhandled errors.
  * @param {string} [options.defaultMessage='An internal server error occurred. Please try again later.']
  *                                                   - The default error message for unhandled errors.
  * @param {Function} [options.formatError=null] - A function to customize the error response structure.
- *                                                It receives (error, req) and should return an object.
+ *                                                It receives (error, req, context) and should return an object.
+ *                                                The context holds the requestId, method, url, duration and,
+ *                                                for App Router dynamic routes, the resolved `params`.
+ * @param {boolean|Object} [options.problemDetails=false] - Respond with RFC 9457 Problem Details
+ *                                                           (`application/problem+json`) bodies.
+ *                                                           Pass an object to configure it.
+ * @param {string} [options.problemDetails.typeBaseUrl] - Base URL used to build the `type` URI of
+ *                                                         custom errors (e.g. 'https://example.com/problems').
+ * @param {number} [options.validationStatusCode=422] - The status code used when a Zod, Yup or Joi
+ *                                                      validation failure is converted into a ValidationError.
+ * @param {Array<{predicate: Function, toCustomError: Function}>} [options.errorMappers=[]]
+ *        - Mappers that convert third-party errors into CustomErrors for this handler.
+ *          They are consulted before globally registered and built-in mappers.
+ * @param {string} [options.requestIdHeader='x-request-id'] - The header used to read an incoming correlation ID
+ *                                                           and to echo it on the response.
+ * @param {Function} [options.generateRequestId] - A function returning a new correlation ID when the request
+ *                                                 does not carry a valid one. Defaults to a random UUID.
+ * @param {boolean} [options.debug] - Include the original message, stack frames and cause chain in error
+ *                                    responses, and render an HTML error page for clients accepting text/html.
+ *                                    Defaults to true when NODE_ENV is 'development'. Never enabled in production.
+ * @param {boolean} [options.exposeStack] - Alias for `debug`.
+ * @param {boolean} [options.contentNegotiation] - Choose the response format from the Accept header. Defaults to
+ *        true, or to false when `formatError` is set, since only the JSON formats use its result; the default
+ *        format (JSON, or Problem JSON with `problemDetails`) is then always sent.
+ * @param {Object<string, Function|Object>} [options.renderers={}] - Renderers for additional media types,
+ *        keyed by media type. The response format is negotiated from the Accept header among these,
+ *        globally registered renderers and the built-in JSON, Problem JSON, HTML, plain text and XML renderers.
+ * @param {Function|Object|Array} [options.reporter] - Error reporters, such as `sentryReporter(Sentry)`. Each is an
+ *        object with a `report(error, event)` method, where event holds the requestId, method, url, params,
+ *        duration, statusCode and level. Plain functions are wrapped with `createReporter`, which only reports
+ *        5xx errors by default. Reporters are not awaited and their failures are logged.
+ * @param {Object} [options.metrics] - A collector from `createMetrics`. It counts errors by status code,
+ *                                     error name and route, and records the duration of every request.
+ * @param {string} [options.route] - The route label used by the metrics collector (e.g. '/api/users/[id]').
+ *                                   Defaults to 'unknown', so request paths with IDs never create new series.
+ * @param {number} [options.timeout=0] - The time in ms the handler may take. When it passes, the handler's
+ *                                      `signal` (passed in a third `{ signal }` argument) is aborted and a
+ *                                      `timeoutError` response is sent. Later writes to `res` are ignored.
+ *                                      0 disables the deadline.
+ * @param {Function} [options.timeoutError=GatewayTimeoutError] - The error class used when the deadline passes.
+ * @param {Object} [options.rateLimit] - A limiter from `createRateLimiter`, or its options. Requests are checked
+ *        before the handler runs; rejected requests get a `TooManyRequestsError` (429) response with `Retry-After`
+ *        and `RateLimit-*` headers, and allowed responses get the `RateLimit-*` headers. An options object creates
+ *        a limiter for this handler only.
+ * @param {string} [options.postResponseLogLevel='fatal'] - The log level of errors thrown after the response was
+ *        sent (API Routes with `res.headersSent`) or while an App Router response body was streamed. These errors
+ *        are only logged and reported, with `responseSent: true` in the record.
+ * @param {Object<string, Object>} [options.messages] - Message catalogs keyed by locale, then by message key
+ *        (e.g. `{ de: { 'errors.notFound': '...' } }`). Consulted before catalogs from `registerMessages`.
+ * @param {string[]} [options.locales] - The locales offered to clients. Defaults to English plus every locale
+ *                                       with a catalog.
+ * @param {string} [options.defaultLocale='en'] - The locale used when Accept-Language matches no locale.
+ * @param {Function} [options.resolveLocale] - Receives (req, ctx) and returns the locale of the client-facing
+ *        message (e.g. from a cookie or user profile). Falls back to Accept-Language when it returns nothing.
+ *        Logged messages are always in English.
+ * @param {boolean|Object|Function} [options.redact] - Redaction of sensitive data in the log record, the error
+ *        passed to the logger, reporters and `formatError`, and the response body. Enabled by default for
+ *        authorization headers, passwords, tokens, card numbers and emails. Pass `createRedactor` options
+ *        (`keys`, `paths`, `patterns`, `censor`, `defaults`) to extend it, a function to replace it, or
+ *        `false` to disable it.
+ * @param {Function|Function[]} [options.onError] - Hooks receiving (error, ctx) that may return a new error to
+ *                                                  transform or replace it before it is logged and rendered.
+ * @param {Function|Function[]} [options.beforeResponse] - Hooks receiving (response, ctx), where response is
+ *                                                         `{ status, headers, body }`. They may edit it in place or
+ *                                                         return a new one. An object body is sent as JSON.
+ * @param {Function|Function[]} [options.afterResponse] - Hooks receiving (ctx) once the error response is sent.
+ *        Hooks run in order and may be async. Their ctx holds the request metadata and `req`, plus `error` and
+ *        `statusCode` (and `response` for App Router) in later hooks. A throwing hook is logged and skipped.
  *
  * @returns {Function} A wrapped handler function compatible with Next.js API Routes or App Router.
  *
@@ -53,108 +138,237 @@ const { CustomError } = require('./customErrors');
  */
 function errorHandler(handler, options = {}) {
   const {
-    logger = console.error, // Default logger
-    defaultStatusCode = 500, // Default status code for unhandled errors
-    defaultMessage = 'An internal server error occurred. Please try again later.', // Default message for unhandled errors
-    formatError = null, // Function to customize error response
+    requestIdHeader = 'x-request-id', // Header carrying the correlation ID
+    generateRequestId = undefined, // Function to create new correlation IDs
+    afterResponse = undefined, // Hooks run once the error response is sent
+    metrics = undefined, // Opt-in metrics collector
+    route = undefined, // Route label used by the metrics collector
+    timeout = 0, // Handler deadline in ms (0 disables it)
+    timeoutError = GatewayTimeoutError, // Error class used when the deadline passes
+    rateLimit = undefined, // Opt-in rate limiter or its options
   } = options;
 
+  // Maps, logs and renders errors (shared with edgeErrorHandler)
+  const respond = createErrorResponder(options);
+
+  // Created once, so the limits apply across requests
+  const limiter = toRateLimiter(rateLimit);
+
   /**
    * The wrapped handler function that includes error handling logic.
    *
    * @param {Object} req - The incoming request object.
-   * @param {Object} [res] - The response object (present for API Routes).
+   * @param {Object} [res] - The response object for API Routes, or the route context
+   *                         (e.g. `{ params }`) for App Router handlers.
    *
    * @returns {Promise<void|Response>} - For API Routes, it sends a JSON response.
    *                                     For App Router, it returns a Response object.
    */
   return async (req, res) => {
+    const startTime = Date.now();
+
+    /**
+     * Every wrapped request gets a correlation ID, either reused from the incoming
+     * header or newly generated. It is echoed on the response and attached to logs
+     * and error bodies so that a reported error can be matched to its log entry.
+     */
+    const requestId = resolveRequestId(req, requestIdHeader, generateRequestId);
+
+    // Pages API Routes receive a response object; App Router handlers receive a route context
+    const isApiRoute = isPagesResponse(res);
+
+    if (isApiRoute && typeof res.setHeader === 'function') {
+      res.setHeader(requestIdHeader, requestId);
+    }
+
+    /**
+     * Builds the request metadata shared with the logger, hooks and formatError.
+     * Dynamic route params of App Router handlers enrich error reports.
+     *
+     * @returns {Promise<Object>} The context.
+     */
+    const createContext = async () => {
+      const context = {
+        requestId,
+        method: req ? req.method : undefined,
+        url: req ? req.url : undefined,
+        duration: Date.now() - startTime,
+      };
+
+      const params = isApiRoute ? undefined : await resolveParams(res);
+      if (params !== undefined) {
+        context.params = params;
+      }
+      return context;
+    };
+
+    /**
+     * With a timeout, the handler races against a deadline. It receives a third
+     * `{ signal }` argument that aborts when the deadline passes, and API Routes get
+     * a guarded response that ignores writes made after the timeout response.
+     */
+    let deadline;
+    const invokeHandler = (second) =>
+      deadline
+        ? raceDeadline(
+            () => handler(req, second, { signal: deadline.signal }),
+            deadline,
+          )
+        : handler(req, second);
+
+    // RateLimit-* headers of allowed requests, also sent with their error responses
+    let rateLimitHeaders = {};
+
     try {
-      // Determine if it's an API Route or App Router based on the presence of 'res'
-      if (res && typeof res.status === 'function') {
+      // Requests over the limit throw a TooManyRequestsError before the handler runs
+      if (limiter) {
+        rateLimitHeaders = await limiter.check(req);
+      }
+
+      deadline = timeout > 0 ? startDeadline(timeout, timeoutError) : undefined;
+
+      if (isApiRoute) {
         // This indicates it's an API Route
-        await handler(req, res);
+        if (typeof res.setHeader === 'function') {
+          Object.keys(rateLimitHeaders).forEach((name) => {
+            res.setHeader(name, rateLimitHeaders[name]);
+          });
+        }
+
+        await invokeHandler(
+          deadline ? guardResponse(res, deadline.isExpired) : res,
+        );
+
+        recordMetrics(metrics, {
+          route,
+          statusCode: res.statusCode || 200,
+          duration: Date.now() - startTime,
+        });
       } else {
-        // This indicates it's the App Router
-        const response = await handler(req);
+        // This indicates it's the App Router; forward the context holding the route params
+        const response = await invokeHandler(res);
 
-        // Ensure the response is returned correctly for App Router
-        return response || new Response(null, { status: 204 }); // Default to a 204 No Content if nothing is returned
+        /**
+         * Ensure the response is returned correctly for App Router, defaulting to a
+         * 204 No Content if nothing is returned. A streaming body may still fail after
+         * the status was sent, so read errors are logged as post-response errors.
+         */
+        const result = monitorResponseBody(
+          response || new Response(null, { status: 204 }),
+          (streamError) => {
+            createContext()
+              .then((context) =>
+                respond.afterSent(
+                  streamError,
+                  req,
+                  context,
+                  'Route Error (while streaming the response):',
+                ),
+              )
+              .catch((loggerError) => {
+                console.error('Logging failed:', loggerError);
+              });
+          },
+        );
+
+        try {
+          Object.keys(rateLimitHeaders).forEach((name) => {
+            result.headers.set(name, rateLimitHeaders[name]);
+          });
+          result.headers.set(requestIdHeader, requestId);
+        } catch (headersError) {
+          // Some responses (e.g. from fetch or Response.redirect) have immutable headers
+        }
+
+        recordMetrics(metrics, {
+          route,
+          statusCode: result.status,
+          duration: Date.now() - startTime,
+        });
+
+        return result;
       }
-    } catch (error) {
+    } catch (thrown) {
       /**
        * Log the error with a context-specific message.
        * For API Routes, prepend 'API Route Error:'
        * For App Router, prepend 'Route Error:'
        */
-      const logMessage =
-        res && typeof res.status === 'function'
-          ? 'API Route Error:'
-          : 'Route Error:';
+      const logMessage = isApiRoute ? 'API Route Error:' : 'Route Error:';
 
-      // Safely invoke the logger
-      if (typeof logger === 'function') {
-        try {
-          logger(logMessage, error);
-        } catch (loggerError) {
-          console.error('Logging failed:', loggerError);
-        }
-      }
-
-      let statusCode = defaultStatusCode;
-      let message = defaultMessage;
+      const context = await createContext();
 
       /**
-       * If the error is an instance of CustomError, use its statusCode and message.
-       * This ensures that custom-defined errors have their specific responses.
+       * If the handler already sent (or started sending) a response before throwing,
+       * writing an error response would fail with "headers already sent". Only log
+       * the error, with the distinct post-response severity.
        */
-      if (error instanceof CustomError) {
-        statusCode = error.statusCode;
-        message = error.message || defaultMessage;
+      if (isApiRoute && (res.headersSent || res.writableEnded)) {
+        await respond.afterSent(
+          thrown,
+          req,
+          context,
+          'API Route Error (after the response was sent):',
+        );
+        return undefined;
       }
 
-      /**
-       * Prepare the error response structure.
-       * This can be customized further by the user through the formatError function.
-       */
-      let errorResponse = {
-        error: {
-          message,
-          type: error.name || 'Error',
-        },
-      };
+      const result = await respond(thrown, req, context, logMessage);
+      const { statusCode, headers, contentType, body } = result;
+      let response;
 
       /**
-       * If a formatError function is provided, use it to customize the error response.
-       * This allows users to add additional fields or modify the structure as needed.
+       * Send the error response based on the context (API Route or App Router).
+       * - For API Routes: Send the rendered body with the appropriate status code.
+       * - For App Router: Return a Response object with the rendered content.
        */
-      if (formatError && typeof formatError === 'function') {
-        try {
-          errorResponse = formatError(error, req);
-        } catch (formatErrorException) {
-          console.error('formatError failed:', formatErrorException);
-          errorResponse = {
-            message,
-            type: error.name || 'Error',
-          };
+      if (isApiRoute) {
+        if (typeof res.setHeader === 'function') {
+          Object.keys(headers).forEach((name) => {
+            res.setHeader(name, headers[name]);
+          });
         }
-      }
 
-      /**
-       * Send the error response based on the context (API Route or App Router).
-       * - For API Routes: Send a JSON response with the appropriate status code.
-       * - For App Router: Return a Response object with JSON content.
-       */
-      if (res && typeof res.status === 'function') {
-        // For API Route, send JSON response
-        res.status(statusCode).json(errorResponse);
+        if (contentType !== 'application/json') {
+          // res.json() would overwrite the Content-Type, so send the rendered body instead
+          res.setHeader('Content-Type', contentType);
+          res.status(statusCode).send(body);
+        } else {
+          // For API Route, send JSON response
+          let json;
+          try {
+            json = body === undefined ? undefined : JSON.parse(body);
+          } catch (parseError) {
+            // A beforeResponse hook replaced the body with something that is not JSON
+            json = body;
+          }
+          res.status(statusCode).json(json);
+        }
       } else {
-        // For App Router, return a Response object with JSON content
-        return new Response(JSON.stringify(errorResponse), {
-          status: statusCode,
-          headers: { 'Content-Type': 'application/json' },
+        // For App Router, return a Response object
+        response = toWebResponse(result, {
+          ...rateLimitHeaders,
+          [requestIdHeader]: requestId,
         });
       }
+
+      recordMetrics(metrics, {
+        route,
+        statusCode,
+        duration: Date.now() - startTime,
+        error: result.error,
+      });
+
+      // afterResponse hooks observe the final outcome (e.g. for metrics)
+      await runHooks('afterResponse', afterResponse, {
+        ...context,
+        req,
+        error: result.error,
+        statusCode,
+        response,
+      });
+
+      return response;
     }
   };
 }
@@ -0,0 +1,293 @@
+// src/errorMappers.js
+
+const {
+  CustomError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  RequestTimeoutError,
+  ValidationError,
+} = require('./customErrors');
+const { toValidationError } = require('./validationAdapters');
+
+/**
+ * Mappers registered globally through `registerErrorMapper`.
+ * Consulted after per-handler mappers and before the built-in mappers.
+ */
+const registeredMappers = [];
+
+/**
+ * Determines whether an error is a JSON syntax error. It cannot tell a malformed
+ * request body (`await req.json()`) from a server-side `JSON.parse` of bad upstream
+ * data, so it is only used by the opt-in `jsonSyntaxErrorMapper`.
+ *
+ * @param {*} error - The thrown value.
+ * @returns {boolean}
+ */
+function isJsonSyntaxError(error) {
+  return Boolean(
+    error && error.name === 'SyntaxError' && /JSON/.test(String(error.message)),
+  );
+}
+
+/**
+ * Determines whether the client aborted the request, from the `signal` of a Web
+ * `Request` or the `aborted` flag of a Node.js request.
+ *
+ * @param {Object} [req] - The incoming request object.
+ * @returns {boolean}
+ */
+function isRequestAborted(req) {
+  return Boolean(
+    req && ((req.signal && req.signal.aborted) || req.aborted === true),
+  );
+}
+
+/**
+ * Creates the BadRequestError used for malformed JSON request bodies.
+ *
+ * @param {Error} error - The parse error.
+ * @returns {BadRequestError}
+ */
+function toMalformedJsonError(error) {
+  return new BadRequestError('The request body is not valid JSON.', {
+    code: 'MALFORMED_JSON',
+    cause: error,
+  });
+}
+
+/**
+ * Opt-in mapper converting every JSON `SyntaxError` into a 400 response. Only use it
+ * for handlers that parse nothing but the request body: a `JSON.parse` of upstream
+ * data failing would otherwise blame the client and not be reported as a 5xx.
+ *
+ * @example
+ *
+ * export const POST = errorHandler(handler, { errorMappers: [jsonSyntaxErrorMapper] });
+ */
+const jsonSyntaxErrorMapper = {
+  predicate: isJsonSyntaxError,
+  toCustomError: toMalformedJsonError,
+};
+
+/**
+ * Converts the `errors` map of a Mongoose or the `errors` array of a Sequelize
+ * validation error into ValidationError fields.
+ *
+ * @param {Object|Array} errors - The ORM validation errors.
+ * @returns {Array<{path: string, message: string, rule?: string}>}
+ */
+function toOrmFields(errors) {
+  return Object.values(errors || {}).map((item) => ({
+    path: String(item.path || ''),
+    message: item.message,
+    rule: item.kind || item.validatorKey || item.type,
+  }));
+}
+
+/**
+ * Creates the ConflictError used for unique constraint violations across ORMs.
+ *
+ * @param {Error} error - The ORM error.
+ * @returns {ConflictError}
+ */
+function toUniqueConstraintError(error) {
+  return new ConflictError(
+    'A resource with the same unique value already exists.',
+    { code: 'UNIQUE_CONSTRAINT', cause: error },
+  );
+}
+
+/**
+ * Built-in mappers for common third-party and platform errors.
+ * Each mapper is an object with a `predicate` and a `toCustomError` function.
+ */
+const builtInMappers = [
+  // Schema validation libraries (Zod, Yup, Joi)
+  {
+    predicate: (error) => toValidationError(error) !== null,
+    toCustomError: (error, context) =>
+      toValidationError(error, { statusCode: context.validationStatusCode }),
+  },
+  // Malformed JSON request bodies reported by body parsers
+  {
+    predicate: (error) =>
+      Boolean(error && error.type === 'entity.parse.failed'),
+    toCustomError: toMalformedJsonError,
+  },
+  // Requests aborted by the client (not AbortErrors of the handler's own calls)
+  {
+    predicate: (error, context) =>
+      Boolean(error && error.name === 'AbortError') &&
+      isRequestAborted(context.req),
+    toCustomError: (error) =>
+      new RequestTimeoutError('The request was aborted.', {
+        code: 'REQUEST_ABORTED',
+        cause: error,
+      }),
+  },
+  // Prisma: record not found
+  {
+    predicate: (error) =>
+      Boolean(
+        error &&
+          error.name === 'PrismaClientKnownRequestError' &&
+          error.code === 'P2025',
+      ),
+    toCustomError: (error) =>
+      new NotFoundError(undefined, {
+        code: 'RESOURCE_NOT_FOUND',
+        cause: error,
+      }),
+  },
+  // Prisma: unique constraint violation
+  {
+    predicate: (error) =>
+      Boolean(
+        error &&
+          error.name === 'PrismaClientKnownRequestError' &&
+          error.code === 'P2002',
+      ),
+    toCustomError: toUniqueConstraintError,
+  },
+  // Mongoose: invalid identifier or value cast
+  {
+    predicate: (error) => Boolean(error && error.name === 'CastError'),
+    toCustomError: (error) =>
+      new BadRequestError(`Invalid value for '${error.path}'.`, {
+        code: 'INVALID_VALUE',
+        cause: error,
+      }),
+  },
+  // MongoDB: duplicate key
+  {
+    predicate: (error) =>
+      Boolean(
+        error &&
+          (error.name === 'MongoServerError' || error.name === 'MongoError') &&
+          error.code === 11000,
+      ),
+    toCustomError: toUniqueConstraintError,
+  },
+  // Mongoose: schema validation
+  {
+    predicate: (error) =>
+      Boolean(
+        error &&
+          error.name === 'ValidationError' &&
+          !(error instanceof CustomError) &&
+          error.errors &&
+          !Array.isArray(error.errors) &&
+          typeof error.errors === 'object',
+      ),
+    toCustomError: (error, context) =>
+      new ValidationError(undefined, {
+        fields: toOrmFields(error.errors),
+        statusCode: context.validationStatusCode,
+        cause: error,
+      }),
+  },
+  // Sequelize: unique constraint violation
+  {
+    predicate: (error) =>
+      Boolean(error && error.name === 'SequelizeUniqueConstraintError'),
+    toCustomError: toUniqueConstraintError,
+  },
+  // Sequelize: model validation
+  {
+    predicate: (error) =>
+      Boolean(error && error.name === 'SequelizeValidationError'),
+    toCustomError: (error, context) =>
+      new ValidationError(undefined, {
+        fields: toOrmFields(error.errors),
+        statusCode: context.validationStatusCode,
+        cause: error,
+      }),
+  },
+];
+
+/**
+ * Registers a global error mapper. Mappers convert errors that are not `CustomError`
+ * instances (e.g. from third-party libraries) into a `CustomError`, so they receive
+ * a proper status code and a safe message instead of the default 500 response.
+ *
+ * @param {Function} predicate - Receives (error, context) and returns true if the mapper applies.
+ * @param {Function} toCustomError - Receives (error, context) and returns a CustomError.
+ *
+ * @returns {Function} A function that removes the mapper from the registry.
+ *
+ * @example
+ *
+ * registerErrorMapper(
+ *   (error) => error.name === 'StripeCardError',
+ *   (error) => new PaymentRequiredError(error.message, { cause: error }),
+ * );
+ */
+function registerErrorMapper(predicate, toCustomError) {
+  if (typeof predicate !== 'function' || typeof toCustomError !== 'function') {
+    throw new TypeError(
+      'registerErrorMapper expects a predicate and a toCustomError function.',
+    );
+  }
+
+  const mapper = { predicate, toCustomError };
+  registeredMappers.push(mapper);
+
+  return () => {
+    const index = registeredMappers.indexOf(mapper);
+    if (index !== -1) {
+      registeredMappers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Removes all globally registered error mappers. Built-in mappers are not affected.
+ */
+function clearErrorMappers() {
+  registeredMappers.length = 0;
+}
+
+/**
+ * Converts an error into a CustomError using the first matching mapper.
+ * Per-handler mappers are consulted first, then globally registered mappers and
+ * finally the built-in mappers. A failing mapper is logged and skipped.
+ *
+ * @param {*} error - The thrown value.
+ * @param {Object} [context={}] - Context passed to every mapper.
+ * @param {Object} [context.req] - The incoming request object.
+ * @param {number} [context.validationStatusCode=422] - Status code for validation failures.
+ * @param {Array<{predicate: Function, toCustomError: Function}>} [mappers=[]] - Per-handler mappers.
+ *
+ * @returns {CustomError|null} The mapped error, or null if no mapper applies.
+ */
+function mapError(error, context = {}, mappers = []) {
+  if (error instanceof CustomError) {
+    return null;
+  }
+
+  const mapperContext = { validationStatusCode: 422, ...context };
+  const candidates = [...mappers, ...registeredMappers, ...builtInMappers];
+
+  for (const mapper of candidates) {
+    try {
+      if (mapper.predicate(error, mapperContext)) {
+        const mapped = mapper.toCustomError(error, mapperContext);
+        if (mapped instanceof CustomError) {
+          return mapped;
+        }
+      }
+    } catch (mapperError) {
+      console.error('Error mapper failed:', mapperError);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  jsonSyntaxErrorMapper,
+  registerErrorMapper,
+  clearErrorMappers,
+  mapError,
+};
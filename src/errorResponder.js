@@ -0,0 +1,437 @@
+// src/errorResponder.js
+
+const { CustomError, NotAcceptableError } = require('./customErrors');
+const { PROBLEM_CONTENT_TYPE, toProblemDetails } = require('./problemDetails');
+const { mapError } = require('./errorMappers');
+const { getHeader } = require('./requestContext');
+const { isDebugEnabled, createDebugInfo } = require('./debug');
+const { selectRenderer } = require('./renderers');
+const { runHooks } = require('./hooks');
+const { toReporterList, reportError } = require('./reporters');
+const { translate, getAvailableLocales, negotiateLocale } = require('./i18n');
+const { toRedactor } = require('./redaction');
+const {
+  getLogLevel: defaultGetLogLevel,
+  createLogRecord,
+  writeLog,
+} = require('./logger');
+
+/**
+ * Creates the error pipeline shared by `errorHandler` and `edgeErrorHandler`.
+ * The returned function maps a thrown value to a CustomError, runs the `onError`
+ * hooks, logs it, renders the negotiated error response and runs the
+ * `beforeResponse` hooks, leaving only the sending (and `afterResponse`) to the caller.
+ *
+ * @param {Object} [options={}] - The `errorHandler` options (see `errorHandler`).
+ *
+ * @returns {Function} An async function receiving (thrown, req, context, logMessage) and
+ *                     resolving to `{ statusCode, headers, contentType, body, error, payload }`.
+ *                     Its `afterSent` method handles errors thrown once the response was sent.
+ */
+function createErrorResponder(options = {}) {
+  const {
+    logger = console, // Default logger
+    getLogLevel = defaultGetLogLevel, // Log level for a response status code
+    defaultStatusCode = 500, // Default status code for unhandled errors
+    defaultMessage = 'An internal server error occurred. Please try again later.', // Default message for unhandled errors
+    formatError = null, // Function to customize error response
+    problemDetails = false, // Respond with RFC 9457 Problem Details
+    validationStatusCode = 422, // Status code for schema validation failures
+    errorMappers = [], // Per-handler error mappers
+    debug = options.exposeStack, // Expose error internals in development
+    renderers = {}, // Per-handler renderers keyed by media type
+    onError = undefined, // Hooks that transform or replace the error
+    beforeResponse = undefined, // Hooks that edit the error response
+    reporter = undefined, // Error reporting services (e.g. Sentry)
+    postResponseLogLevel = 'fatal', // Severity of errors thrown after the response was sent
+    messages = undefined, // Per-handler message catalogs keyed by locale
+    locales = undefined, // Locales offered to clients
+    defaultLocale = 'en', // Locale used when Accept-Language matches none
+    resolveLocale = undefined, // Function choosing the locale of a request
+    redact = undefined, // Redaction of sensitive data in logs and responses
+    contentNegotiation = !formatError, // Choose the response format from the Accept header
+  } = options;
+
+  const reporters = toReporterList(reporter);
+  const redactSensitive = toRedactor(redact);
+
+  const problemOptions =
+    problemDetails && typeof problemDetails === 'object' ? problemDetails : {};
+  const defaultType = problemDetails
+    ? PROBLEM_CONTENT_TYPE
+    : 'application/json';
+
+  /**
+   * Builds everything needed to render an error response: the status code, the
+   * client-safe message, the JSON body (default shape, Problem Details or the
+   * result of formatError) and the Problem Details object.
+   *
+   * @param {*} error - The handled error.
+   * @param {Object} req - The incoming request object.
+   * @param {Object} context - Request metadata (requestId, method, url, duration, locale).
+   *
+   * @returns {Object} The render payload passed to renderers.
+   */
+  const buildPayload = (error, req, context) => {
+    const { requestId } = context;
+    const isCustomError = error instanceof CustomError;
+    let statusCode = defaultStatusCode;
+    let message = defaultMessage;
+
+    /**
+     * If the error is an instance of CustomError, use its statusCode and message.
+     * This ensures that custom-defined errors have their specific responses.
+     */
+    if (isCustomError) {
+      statusCode = error.statusCode;
+      message =
+        translate(error.messageKey, context.locale, error.params, messages) ||
+        error.message ||
+        defaultMessage;
+    } else if (options.defaultMessage === undefined) {
+      message =
+        translate(
+          'errors.internalServer',
+          context.locale,
+          undefined,
+          messages,
+        ) || defaultMessage;
+    }
+
+    const type = (error && error.name) || 'Error';
+
+    // Headers required by the error (Retry-After, WWW-Authenticate, Allow, ...)
+    const headers =
+      isCustomError && typeof error.getHeaders === 'function'
+        ? error.getHeaders()
+        : {};
+    const code = isCustomError ? error.code : undefined;
+    const fields =
+      isCustomError && Array.isArray(error.fields) ? error.fields : undefined;
+
+    /**
+     * In debug mode, expose the original message, stack frames and cause chain.
+     * isDebugEnabled() guarantees this never happens in production.
+     */
+    const debugInfo = isDebugEnabled(debug)
+      ? createDebugInfo(error)
+      : undefined;
+
+    /**
+     * The RFC 9457 Problem Details representation of the error.
+     */
+    const problem = toProblemDetails(error, req, {
+      statusCode,
+      message,
+      typeBaseUrl: problemOptions.typeBaseUrl,
+    });
+    problem.requestId = requestId;
+    if (debugInfo) {
+      problem.debug = debugInfo;
+    }
+
+    /**
+     * Prepare the error response structure.
+     * In Problem Details mode the body follows RFC 9457; otherwise the default
+     * `{ error: { message, type } }` shape is used.
+     * Custom errors may carry a machine-readable code and structured details.
+     * The error's `cause` is intentionally never serialized.
+     */
+    let errorResponse = problem;
+
+    if (!problemDetails) {
+      errorResponse = {
+        error: {
+          message,
+          type,
+        },
+      };
+      if (code !== undefined) {
+        errorResponse.error.code = code;
+      }
+      if (isCustomError && error.details !== undefined) {
+        errorResponse.error.details = error.details;
+      }
+      if (fields) {
+        errorResponse.error.fields = fields;
+      }
+      errorResponse.error.requestId = requestId;
+      if (debugInfo) {
+        errorResponse.error.debug = debugInfo;
+      }
+    }
+
+    /**
+     * If a formatError function is provided, use it to customize the error response.
+     * This allows users to add additional fields or modify the structure as needed.
+     */
+    if (formatError && typeof formatError === 'function') {
+      try {
+        errorResponse = formatError(redactSensitive(error), req, context);
+      } catch (formatErrorException) {
+        console.error('formatError failed:', formatErrorException);
+        errorResponse = {
+          message,
+          type,
+        };
+      }
+    }
+
+    return {
+      error,
+      req,
+      statusCode,
+      message: redactSensitive(message),
+      type,
+      code,
+      fields: redactSensitive(fields),
+      requestId,
+      headers,
+      debug: redactSensitive(debugInfo),
+      body: redactSensitive(errorResponse),
+      problem: redactSensitive(problemDetails ? errorResponse : problem),
+    };
+  };
+
+  /**
+   * Converts a thrown value into the handled error: known third-party errors
+   * (schema validation failures, malformed JSON bodies, aborted requests, ORM
+   * errors, ...) become CustomErrors, then the onError hooks may transform or
+   * replace it. Errors returned by hooks are mapped again, so a hook may also
+   * return a third-party error.
+   *
+   * @param {*} thrown - The thrown value.
+   * @param {Object} req - The incoming request object.
+   * @param {Object} hookContext - The hook context.
+   * @returns {Promise<*>} The handled error.
+   */
+  const resolveError = async (thrown, req, hookContext) => {
+    const mapped =
+      mapError(thrown, { req, validationStatusCode }, errorMappers) || thrown;
+    const transformed = await runHooks('onError', onError, mapped, hookContext);
+
+    return transformed === mapped
+      ? mapped
+      : mapError(transformed, { req, validationStatusCode }, errorMappers) ||
+          transformed;
+  };
+
+  /**
+   * Safely invokes the logger with a structured record, then reports the error
+   * with its request metadata and correlation ID.
+   *
+   * @param {*} error - The handled error.
+   * @param {number} statusCode - The status code of the error.
+   * @param {Object} context - Request metadata.
+   * @param {string} logMessage - The message the error is logged with.
+   * @param {string} [fixedLevel] - A log level overriding `getLogLevel`.
+   */
+  const logAndReport = (error, statusCode, context, logMessage, fixedLevel) => {
+    let level = fixedLevel || 'error';
+    try {
+      if (!fixedLevel) {
+        level = getLogLevel(statusCode, error);
+      }
+      const record = redactSensitive(
+        createLogRecord({
+          level,
+          message: logMessage,
+          error,
+          statusCode,
+          context,
+        }),
+      );
+      writeLog(logger, record, redactSensitive(error));
+    } catch (loggerError) {
+      console.error('Logging failed:', loggerError);
+    }
+
+    reportError(
+      reporters,
+      redactSensitive(error),
+      redactSensitive({ ...context, statusCode, level }),
+    );
+  };
+
+  /**
+   * Chooses the locale of the client-facing message: the result of `resolveLocale`
+   * if it returns one, otherwise the best match for the Accept-Language header.
+   *
+   * @param {Object} req - The incoming request object.
+   * @param {Object} context - Request metadata.
+   * @param {string[]} available - The available locales.
+   * @returns {Promise<string>} The locale.
+   */
+  const resolveRequestLocale = async (req, context, available) => {
+    if (typeof resolveLocale === 'function') {
+      try {
+        const resolved = await resolveLocale(req, context);
+        if (resolved) {
+          return resolved;
+        }
+      } catch (resolveLocaleException) {
+        console.error('resolveLocale failed:', resolveLocaleException);
+      }
+    }
+    return negotiateLocale(
+      getHeader(req, 'accept-language'),
+      available,
+      defaultLocale,
+    );
+  };
+
+  /**
+   * Handles a thrown value: converts it, logs it and renders the error response.
+   *
+   * @param {*} thrown - The thrown value.
+   * @param {Object} req - The incoming request object.
+   * @param {Object} requestContext - Request metadata (requestId, method, url, duration).
+   * @param {string} logMessage - The message the error is logged with.
+   *
+   * @returns {Promise<{statusCode: number, headers: Object<string, string>, contentType: string,
+   *            body: *, error: *, payload: Object}>} The rendered error response.
+   */
+  const respond = async (thrown, req, requestContext, logMessage) => {
+    // Responses only depend on Accept-Language when there is more than one locale
+    const available = locales || getAvailableLocales(messages);
+    const isLocalized =
+      typeof resolveLocale === 'function' || available.length > 1;
+    const context = {
+      ...requestContext,
+      locale: await resolveRequestLocale(req, requestContext, available),
+    };
+    const hookContext = { ...context, req };
+    const error = await resolveError(thrown, req, hookContext);
+    const payload = buildPayload(error, req, context);
+
+    // The severity depends on the response status, so client errors do not look like server outages
+    logAndReport(error, payload.statusCode, requestContext, logMessage);
+
+    /**
+     * Choose the response format from the Accept header. If the client accepts
+     * none of the available formats, respond with a 406 Not Acceptable error in
+     * the default format instead. Without negotiation (the default with formatError,
+     * whose result only the JSON renderers use) the default format is always sent.
+     */
+    const renderOptions = { defaultType, renderers };
+    let renderer = selectRenderer(
+      contentNegotiation ? getHeader(req, 'accept') : undefined,
+      renderOptions,
+    );
+    let responsePayload = payload;
+
+    if (!renderer) {
+      renderer = selectRenderer(undefined, renderOptions);
+      responsePayload = buildPayload(
+        new NotAcceptableError(undefined, { cause: error }),
+        req,
+        context,
+      );
+    }
+
+    let body;
+    let contentType = renderer.contentType;
+    try {
+      body = renderer.render(responsePayload);
+    } catch (renderException) {
+      console.error('Rendering failed:', renderException);
+      contentType = 'application/json';
+      body = JSON.stringify(responsePayload.body);
+    }
+
+    /**
+     * beforeResponse hooks may edit the status, headers and body of the response.
+     * A hook may also set `body` to an object, which is sent as JSON.
+     */
+    const vary = [
+      contentNegotiation && 'Accept',
+      isLocalized && 'Accept-Language',
+    ].filter(Boolean);
+
+    const response = await runHooks(
+      'beforeResponse',
+      beforeResponse,
+      {
+        status: responsePayload.statusCode,
+        headers: {
+          ...responsePayload.headers,
+          'Content-Type': contentType,
+          ...(isLocalized && { 'Content-Language': context.locale }),
+          ...(vary.length > 0 && { Vary: vary.join(', ') }),
+        },
+        body,
+      },
+      { ...hookContext, error: responsePayload.error },
+    );
+
+    const { 'Content-Type': responseContentType, ...headers } =
+      response.headers || {};
+
+    return {
+      statusCode: response.status,
+      headers,
+      contentType: responseContentType || contentType,
+      body:
+        response.body === undefined ||
+        response.body === null ||
+        typeof response.body === 'string'
+          ? response.body
+          : JSON.stringify(response.body),
+      error: responsePayload.error,
+      payload: responsePayload,
+    };
+  };
+
+  /**
+   * Handles an error thrown after the response was already sent (or while it was
+   * streamed). No response can be written anymore, so the error is only logged,
+   * with the `postResponseLogLevel` severity and `responseSent: true`, and reported.
+   *
+   * @param {*} thrown - The thrown value.
+   * @param {Object} req - The incoming request object.
+   * @param {Object} context - Request metadata (requestId, method, url, duration).
+   * @param {string} logMessage - The message the error is logged with.
+   *
+   * @returns {Promise<*>} The handled error.
+   */
+  respond.afterSent = async (thrown, req, context, logMessage) => {
+    const postContext = { ...context, responseSent: true };
+    const error = await resolveError(thrown, req, { ...postContext, req });
+    const statusCode =
+      error instanceof CustomError ? error.statusCode : defaultStatusCode;
+
+    logAndReport(
+      error,
+      statusCode,
+      postContext,
+      logMessage,
+      postResponseLogLevel,
+    );
+    return error;
+  };
+
+  return respond;
+}
+
+/**
+ * Converts a rendered error response into a Web `Response`.
+ *
+ * @param {Object} result - The result of the error responder.
+ * @param {Object<string, string>} [extraHeaders={}] - Additional response headers.
+ * @returns {Response}
+ */
+function toWebResponse(result, extraHeaders = {}) {
+  return new Response(result.body, {
+    status: result.statusCode,
+    headers: {
+      ...result.headers,
+      'Content-Type': result.contentType,
+      ...extraHeaders,
+    },
+  });
+}
+
+module.exports = {
+  createErrorResponder,
+  toWebResponse,
+};
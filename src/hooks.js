@@ -0,0 +1,56 @@
+// src/hooks.js
+
+/**
+ * Names of the lifecycle hook options. `createErrorHandler` combines these
+ * instead of replacing them, so shared and per-route hooks both run.
+ */
+const HOOK_NAMES = ['onError', 'beforeResponse', 'afterResponse'];
+
+/**
+ * Normalizes a hook option into a list of functions.
+ *
+ * @param {Function|Function[]|undefined} hooks - A hook or a list of hooks.
+ * @returns {Function[]}
+ */
+function toHookList(hooks) {
+  if (!hooks) {
+    return [];
+  }
+  const list = Array.isArray(hooks) ? hooks : [hooks];
+  return list.filter((hook) => typeof hook === 'function');
+}
+
+/**
+ * Runs hooks in order, passing each one the current value and the context.
+ * A hook returning anything other than `undefined` replaces the value for the
+ * following hooks. A failing hook is logged and skipped, keeping the value it
+ * received, so a broken hook never prevents the error response from being sent.
+ *
+ * @param {string} name - The hook name, used in failure logs.
+ * @param {Function|Function[]|undefined} hooks - The hooks to run.
+ * @param {*} value - The initial value.
+ * @param {Object} [context] - The hook context.
+ * @returns {Promise<*>} The final value.
+ */
+async function runHooks(name, hooks, value, context) {
+  let current = value;
+
+  for (const hook of toHookList(hooks)) {
+    try {
+      const result = await hook(current, context);
+      if (result !== undefined) {
+        current = result;
+      }
+    } catch (hookError) {
+      console.error(`${name} hook failed:`, hookError);
+    }
+  }
+
+  return current;
+}
+
+module.exports = {
+  HOOK_NAMES,
+  toHookList,
+  runHooks,
+};
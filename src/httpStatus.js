@@ -0,0 +1,68 @@
+// src/httpStatus.js
+
+/**
+ * Standard reason phrases for the HTTP error status codes used by this package.
+ * Kept as a plain lookup table (rather than Node's `http.STATUS_CODES`) so it can
+ * be used from runtimes without the Node.js standard library.
+ */
+const STATUS_TEXT = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  402: 'Payment Required',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  410: 'Gone',
+  411: 'Length Required',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  414: 'URI Too Long',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  417: 'Expectation Failed',
+  418: "I'm a Teapot",
+  421: 'Misdirected Request',
+  422: 'Unprocessable Entity',
+  423: 'Locked',
+  424: 'Failed Dependency',
+  425: 'Too Early',
+  426: 'Upgrade Required',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  431: 'Request Header Fields Too Large',
+  451: 'Unavailable For Legal Reasons',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+  505: 'HTTP Version Not Supported',
+  506: 'Variant Also Negotiates',
+  507: 'Insufficient Storage',
+  508: 'Loop Detected',
+  509: 'Bandwidth Limit Exceeded',
+  510: 'Not Extended',
+  511: 'Network Authentication Required',
+};
+
+/**
+ * Returns the reason phrase for an HTTP status code.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @returns {string} The reason phrase, or a generic phrase for unknown codes.
+ */
+function getStatusText(statusCode) {
+  if (STATUS_TEXT[statusCode]) {
+    return STATUS_TEXT[statusCode];
+  }
+  return statusCode >= 500 ? 'Server Error' : 'Client Error';
+}
+
+module.exports = {
+  STATUS_TEXT,
+  getStatusText,
+};
@@ -0,0 +1,236 @@
+// src/i18n.js
+
+const en = require('./locales/en');
+
+/**
+ * The locale error messages (and logs) are written in.
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Catalogs registered globally through `registerMessages`, most recent last.
+ */
+const registeredCatalogs = [];
+
+/**
+ * Registers a global message catalog for a locale. Catalogs map message keys
+ * (e.g. 'errors.notFound') to messages, which may contain `{name}` placeholders
+ * filled from the error's `params`. Later catalogs take precedence, so English
+ * messages may also be overridden.
+ *
+ * @param {string} locale - The locale of the catalog (e.g. 'de' or 'pt-BR').
+ * @param {Object<string, string>} messages - The messages, keyed by message key.
+ *
+ * @returns {Function} A function that removes the catalog from the registry.
+ *
+ * @example
+ *
+ * registerMessages('de', {
+ *   'errors.notFound': 'Die angeforderte Ressource wurde nicht gefunden.',
+ *   'user.notFound': 'Benutzer {id} wurde nicht gefunden.',
+ * });
+ */
+function registerMessages(locale, messages) {
+  if (typeof locale !== 'string' || !messages || typeof messages !== 'object') {
+    throw new TypeError(
+      'registerMessages expects a locale and a messages object.',
+    );
+  }
+
+  const catalog = { locale, messages };
+  registeredCatalogs.push(catalog);
+
+  return () => {
+    const index = registeredCatalogs.indexOf(catalog);
+    if (index !== -1) {
+      registeredCatalogs.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Removes all globally registered catalogs. The built-in English messages are not affected.
+ */
+function clearMessages() {
+  registeredCatalogs.length = 0;
+}
+
+/**
+ * Replaces `{name}` placeholders in a message with the matching parameters.
+ * Placeholders without a parameter are left as they are.
+ *
+ * @param {string} message - The message template.
+ * @param {Object} [params] - The parameters.
+ * @returns {string}
+ */
+function formatMessage(message, params) {
+  if (!params || typeof params !== 'object') {
+    return message;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined || params[name] === null
+      ? placeholder
+      : String(params[name]),
+  );
+}
+
+/**
+ * Finds a message in a locale-keyed catalog, ignoring the case of the locale.
+ *
+ * @param {Object<string, Object>} [catalogs] - Messages keyed by locale.
+ * @param {string} locale - The locale.
+ * @param {string} key - The message key.
+ * @returns {string|undefined}
+ */
+function findMessage(catalogs, locale, key) {
+  if (!catalogs) {
+    return undefined;
+  }
+  const match = Object.keys(catalogs).find(
+    (catalogLocale) => catalogLocale.toLowerCase() === locale.toLowerCase(),
+  );
+  const messages = match ? catalogs[match] : undefined;
+  return messages && typeof messages[key] === 'string'
+    ? messages[key]
+    : undefined;
+}
+
+/**
+ * Returns the message for a key in a locale, or undefined when no catalog has it.
+ * Per-handler `messages` are consulted before registered catalogs, and a regional
+ * locale (e.g. 'de-AT') falls back to its language ('de').
+ *
+ * @param {string} key - The message key.
+ * @param {string} [locale='en'] - The locale.
+ * @param {Object} [params] - The placeholder parameters.
+ * @param {Object<string, Object>} [messages] - Per-handler messages keyed by locale.
+ *
+ * @returns {string|undefined} The interpolated message.
+ */
+function translate(key, locale = DEFAULT_LOCALE, params, messages) {
+  if (!key) {
+    return undefined;
+  }
+
+  const candidates = [locale];
+  const language = locale.split('-')[0];
+  if (language !== locale) {
+    candidates.push(language);
+  }
+
+  for (let i = 0; i < candidates.length; i += 1) {
+    const candidate = candidates[i];
+    let message = findMessage(messages, candidate, key);
+
+    for (let j = registeredCatalogs.length - 1; !message && j >= 0; j -= 1) {
+      const { locale: catalogLocale, messages: catalog } =
+        registeredCatalogs[j];
+      if (catalogLocale.toLowerCase() === candidate.toLowerCase()) {
+        message = typeof catalog[key] === 'string' ? catalog[key] : undefined;
+      }
+    }
+
+    if (!message && candidate === DEFAULT_LOCALE) {
+      message = en[key];
+    }
+
+    if (message) {
+      return formatMessage(message, params);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns the locales messages are available in: the per-handler `messages`,
+ * the registered catalogs and English.
+ *
+ * @param {Object<string, Object>} [messages] - Per-handler messages keyed by locale.
+ * @returns {string[]}
+ */
+function getAvailableLocales(messages) {
+  const locales = [
+    DEFAULT_LOCALE,
+    ...Object.keys(messages || {}),
+    ...registeredCatalogs.map((catalog) => catalog.locale),
+  ];
+  return locales.filter(
+    (locale, index) =>
+      locales.findIndex(
+        (other) => other.toLowerCase() === locale.toLowerCase(),
+      ) === index,
+  );
+}
+
+/**
+ * Parses an Accept-Language header into language ranges ordered by quality.
+ * Ranges with a quality of 0 are dropped.
+ *
+ * @param {string} header - The Accept-Language header value.
+ * @returns {string[]}
+ */
+function parseAcceptLanguage(header) {
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      let q = 1;
+      params.forEach((param) => {
+        const [key, value] = param.trim().split('=');
+        if (key === 'q') {
+          const parsed = parseFloat(value);
+          q = Number.isNaN(parsed) ? 0 : parsed;
+        }
+      });
+      return { range: range.trim().toLowerCase(), q, index };
+    })
+    .filter(({ range, q }) => range && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ range }) => range);
+}
+
+/**
+ * Chooses the best available locale for an Accept-Language header. A range
+ * matches a locale exactly, by its language ('de-AT' matches 'de') or as a
+ * prefix ('pt' matches 'pt-BR').
+ *
+ * @param {string} [header] - The Accept-Language header value.
+ * @param {string[]} locales - The available locales.
+ * @param {string} [defaultLocale='en'] - The locale used when nothing matches.
+ *
+ * @returns {string} The chosen locale.
+ */
+function negotiateLocale(header, locales, defaultLocale = DEFAULT_LOCALE) {
+  if (!header) {
+    return defaultLocale;
+  }
+
+  const ranges = parseAcceptLanguage(header);
+  for (let i = 0; i < ranges.length; i += 1) {
+    const range = ranges[i];
+    if (range === '*') {
+      return defaultLocale;
+    }
+    const language = range.split('-')[0];
+    const match =
+      locales.find((locale) => locale.toLowerCase() === range) ||
+      locales.find((locale) => locale.toLowerCase() === language) ||
+      locales.find((locale) => locale.toLowerCase().startsWith(`${range}-`));
+    if (match) {
+      return match;
+    }
+  }
+
+  return defaultLocale;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  registerMessages,
+  clearMessages,
+  formatMessage,
+  translate,
+  getAvailableLocales,
+  negotiateLocale,
+};
@@ -9,6 +9,21 @@
  * - Dual compatibility with API Routes and App Router
  * - Comprehensive error handling to prevent information leakage
  * - Customizable logging and error response formatting
+ * - Optional RFC 9457 Problem Details responses
+ * - Development-mode debug responses with stack traces and cause chains
+ * - Content negotiation for JSON, Problem JSON, HTML, plain text and XML error responses
+ * - Serializable error results for Server Actions
+ * - Edge runtime and middleware.js support
+ * - Shared, organization-wide configuration with `createErrorHandler`
+ * - Pluggable error reporters (Sentry-compatible) with filtering, sampling and deduplication
+ * - Opt-in error metrics with Prometheus text exposition
+ * - Handler timeouts with AbortSignal support
+ * - Client-side error rehydration into the matching error classes with `fetchJson`
+ * - Translated error messages with Accept-Language negotiation
+ * - Redaction of credentials, card numbers and emails in logs and error responses
+ * - Error classes for every common 4xx/5xx status and a `createHttpError` factory
+ * - `safeFetch` for upstream calls, mapping failures to 502/504 errors with retries
+ * - Opt-in rate limiting (sliding window or token bucket) with `RateLimit-*` headers
  *
  * ## Quick Start
  *
@@ -16,12 +31,74 @@
  */
 
 const errorHandler = require('./errorHandler');
+const createRoute = require('./createRoute');
+const { createErrorHandler, mergeOptions } = require('./createErrorHandler');
+const edgeErrorHandler = require('./edge');
+const { withActionErrors } = require('./serverActions');
 const customErrors = require('./customErrors');
+const problemDetails = require('./problemDetails');
+const validationAdapters = require('./validationAdapters');
+const {
+  jsonSyntaxErrorMapper,
+  registerErrorMapper,
+  clearErrorMappers,
+} = require('./errorMappers');
+const { serializeError, pinoAdapter, winstonAdapter } = require('./logger');
+const { registerRenderer, clearRenderers } = require('./renderers');
+const {
+  createReporter,
+  sentryReporter,
+  createMemoryReporter,
+} = require('./reporters');
+const { PROMETHEUS_CONTENT_TYPE, createMetrics } = require('./metrics');
+const { registerMessages, clearMessages } = require('./i18n');
+const enMessages = require('./locales/en');
+const {
+  DEFAULT_REDACT_KEYS,
+  DEFAULT_REDACT_PATTERNS,
+  createRedactor,
+} = require('./redaction');
+const { deserializeError, errorFromResponse, fetchJson } = require('./client');
+const { DEFAULT_FORWARD_STATUSES, safeFetch } = require('./safeFetch');
+const { createMemoryStore, createRateLimiter } = require('./rateLimit');
 
 /**
  * Exported functions and classes.
  */
 module.exports = {
   errorHandler,
+  createRoute,
+  createErrorHandler,
+  mergeOptions,
+  edgeErrorHandler,
+  withActionErrors,
   ...customErrors,
+  ...problemDetails,
+  ...validationAdapters,
+  jsonSyntaxErrorMapper,
+  registerErrorMapper,
+  clearErrorMappers,
+  serializeError,
+  pinoAdapter,
+  winstonAdapter,
+  registerRenderer,
+  clearRenderers,
+  createReporter,
+  sentryReporter,
+  createMemoryReporter,
+  PROMETHEUS_CONTENT_TYPE,
+  createMetrics,
+  deserializeError,
+  errorFromResponse,
+  fetchJson,
+  registerMessages,
+  clearMessages,
+  enMessages,
+  DEFAULT_REDACT_KEYS,
+  DEFAULT_REDACT_PATTERNS,
+  createRedactor,
+  DEFAULT_FORWARD_STATUSES,
+  safeFetch,
+  createMemoryStore,
+  createRateLimiter,
 };
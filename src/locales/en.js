@@ -0,0 +1,65 @@
+// src/locales/en.js
+
+/**
+ * English messages of the built-in error classes, keyed by message key. These are
+ * the default error messages; `error.message`, and therefore every log record, is
+ * always built from this catalog (or from English messages registered with
+ * `registerMessages('en', ...)`), whatever locale the client receives.
+ */
+module.exports = {
+  'errors.custom': 'An error occurred.',
+  'errors.badRequest':
+    'It seems there was an error with your request. Please check the data you entered and try again.',
+  'errors.unauthorized': 'Unauthorized access. Please log in again.',
+  'errors.paymentRequired': 'Payment is required to access this resource.',
+  'errors.forbidden': 'Access denied.',
+  'errors.notFound': 'The requested resource was not found.',
+  'errors.methodNotAllowed':
+    'The HTTP method used is not allowed for this resource.',
+  'errors.notAcceptable':
+    'The requested resource is not available in a format acceptable to your browser.',
+  'errors.requestTimeout': 'The server timed out waiting for your request.',
+  'errors.conflict':
+    'A conflict occurred with the current state of the resource.',
+  'errors.gone': 'The requested resource is no longer available.',
+  'errors.lengthRequired': 'The request must include a Content-Length header.',
+  'errors.preconditionFailed': 'A precondition of the request was not met.',
+  'errors.payloadTooLarge': 'The request payload is too large.',
+  'errors.unsupportedMediaType': 'The request payload format is not supported.',
+  'errors.rangeNotSatisfiable': 'The requested range cannot be satisfied.',
+  'errors.expectationFailed':
+    'The expectation given in the Expect header could not be met.',
+  'errors.imATeapot': "I'm a teapot.",
+  'errors.misdirectedRequest':
+    'The request was directed at a server that cannot produce a response.',
+  'errors.unprocessableEntity': 'The request could not be processed.',
+  'errors.validation': 'The submitted data is invalid.',
+  'errors.locked': 'The resource is locked.',
+  'errors.failedDependency':
+    'The request failed because a request it depends on failed.',
+  'errors.tooEarly':
+    'The server is unwilling to process a request that might be replayed.',
+  'errors.upgradeRequired': 'The client must switch to a different protocol.',
+  'errors.preconditionRequired': 'The request must be conditional.',
+  'errors.tooManyRequests':
+    'You have made too many requests in a short period of time.',
+  'errors.requestHeaderFieldsTooLarge':
+    'The request header fields are too large.',
+  'errors.unavailableForLegalReasons':
+    'The requested resource is unavailable for legal reasons.',
+  'errors.internalServer':
+    'An internal server error occurred. Please try again later.',
+  'errors.notImplemented': 'This functionality has not been implemented.',
+  'errors.badGateway': 'Received an invalid response from the upstream server.',
+  'errors.serviceUnavailable': 'The service is currently unavailable.',
+  'errors.gatewayTimeout':
+    'The upstream server failed to send a request in time.',
+  'errors.httpVersionNotSupported':
+    'The server does not support the HTTP protocol version used in the request.',
+  'errors.variantAlsoNegotiates': 'Variant Also Negotiates.',
+  'errors.insufficientStorage':
+    'The server is unable to store the representation needed to complete the request.',
+  'errors.bandwidthLimitExceeded': 'Bandwidth limit exceeded.',
+  'errors.networkAuthenticationRequired':
+    'Network authentication is required to access this resource.',
+};
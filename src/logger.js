@@ -0,0 +1,176 @@
+// src/logger.js
+
+/**
+ * Severity levels understood by structured loggers, from least to most severe.
+ * `fatal` is used for errors thrown after the response was already sent.
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'fatal'];
+
+/**
+ * Maximum depth of the serialized `cause` chain, to guard against cycles.
+ */
+const MAX_CAUSE_DEPTH = 5;
+
+/**
+ * Returns the default log level for a response status code.
+ * Client errors (4xx) are expected conditions and logged as warnings;
+ * server errors (5xx) are logged as errors.
+ *
+ * @param {number} statusCode - The HTTP status code of the error response.
+ * @returns {string} The log level.
+ */
+function getLogLevel(statusCode) {
+  return statusCode >= 500 ? 'error' : 'warn';
+}
+
+/**
+ * Serializes an error (or any thrown value) into a plain object suitable for
+ * structured logging, including its `cause` chain.
+ *
+ * @param {*} error - The error to serialize.
+ * @param {number} [depth=0] - The current depth in the cause chain.
+ * @returns {Object|undefined} The serialized error.
+ */
+function serializeError(error, depth = 0) {
+  if (error === undefined || error === null) {
+    return undefined;
+  }
+
+  if (typeof error !== 'object') {
+    return { name: typeof error, message: String(error) };
+  }
+
+  const serialized = {
+    name: error.name || 'Error',
+    message: error.message,
+    stack: error.stack,
+  };
+
+  ['statusCode', 'code', 'details'].forEach((key) => {
+    if (error[key] !== undefined) {
+      serialized[key] = error[key];
+    }
+  });
+
+  if (error.cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+    serialized.cause = serializeError(error.cause, depth + 1);
+  }
+
+  return serialized;
+}
+
+/**
+ * Builds the structured log record for an error handled by `errorHandler`.
+ *
+ * @param {Object} params - Record parameters.
+ * @param {string} params.level - The log level.
+ * @param {string} params.message - The log message (e.g. 'API Route Error:').
+ * @param {*} params.error - The handled error.
+ * @param {number} params.statusCode - The status code of the error response.
+ * @param {Object} [params.context={}] - Request metadata (requestId, method, url, duration, params).
+ * @returns {Object} The log record.
+ */
+function createLogRecord({ level, message, error, statusCode, context = {} }) {
+  return {
+    level,
+    message,
+    ...context,
+    statusCode,
+    error: serializeError(error),
+  };
+}
+
+/**
+ * Sends a log record to a logger. Two logger shapes are supported:
+ *
+ * - A function, called as `logger(message, error, record)`. The first two
+ *   arguments keep plain functions such as `console.error` working.
+ * - An object with `debug`, `info`, `warn`, `error` and optionally `fatal` methods, called as
+ *   `logger[level](message, record)`. A missing `fatal` method falls back to `error`;
+ *   other missing methods fall back to `log`, then `error`.
+ *
+ * @param {Function|Object} logger - The logger.
+ * @param {Object} record - The log record created by `createLogRecord`.
+ * @param {*} error - The original error, passed to function loggers.
+ */
+function writeLog(logger, record, error) {
+  if (typeof logger === 'function') {
+    logger(record.message, error, record);
+    return;
+  }
+
+  if (!logger || typeof logger !== 'object') {
+    return;
+  }
+
+  const fallbacks =
+    record.level === 'fatal' ? ['error', 'log'] : ['log', 'error'];
+  const method = [record.level, ...fallbacks].find(
+    (name) => typeof logger[name] === 'function',
+  );
+  if (method) {
+    logger[method](record.message, record);
+  }
+}
+
+/**
+ * Adapts a pino logger to the structured logger contract.
+ * The record is passed as pino's merging object, with the error under `err`.
+ *
+ * @param {Object} pino - A pino logger instance.
+ * @returns {Object} A logger with `debug`, `info`, `warn`, `error` and `fatal` methods.
+ *
+ * @example
+ *
+ * const pino = require('pino')();
+ * export default errorHandler(handler, { logger: pinoAdapter(pino) });
+ */
+function pinoAdapter(pino) {
+  return LOG_LEVELS.reduce((adapter, level) => {
+    adapter[level] = (message, record) => {
+      // pino sets its own `level` and `msg` keys, so they are left out of the merging object
+      const fields = { ...record, err: record.error };
+      delete fields.level;
+      delete fields.message;
+      delete fields.error;
+      pino[level](fields, message);
+    };
+    return adapter;
+  }, {});
+}
+
+/**
+ * Adapts a winston (or winston-style) logger to the structured logger contract.
+ * The record is passed to `logger.log` as a single info object. The `fatal` level
+ * is logged as `error` unless the winston logger defines a `fatal` level.
+ *
+ * @param {Object} winston - A winston logger instance.
+ * @returns {Object} A logger with `debug`, `info`, `warn`, `error` and `fatal` methods.
+ *
+ * @example
+ *
+ * const winston = require('winston').createLogger({ ... });
+ * export default errorHandler(handler, { logger: winstonAdapter(winston) });
+ */
+function winstonAdapter(winston) {
+  return LOG_LEVELS.reduce((adapter, level) => {
+    const winstonLevel =
+      level === 'fatal' && !(winston.levels && 'fatal' in winston.levels)
+        ? 'error'
+        : level;
+    adapter[level] = (message, record) => {
+      winston.log({ ...record, level: winstonLevel, message });
+    };
+    return adapter;
+  }, {});
+}
+
+module.exports = {
+  LOG_LEVELS,
+  getLogLevel,
+  serializeError,
+  createLogRecord,
+  writeLog,
+  pinoAdapter,
+  winstonAdapter,
+};
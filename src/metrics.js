@@ -0,0 +1,195 @@
+// src/metrics.js
+
+/**
+ * Default histogram buckets for handler durations, in seconds.
+ */
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Content type of the Prometheus text exposition format.
+ */
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ *
+ * @param {*} value - The label value.
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels as `{name="value",...}`.
+ *
+ * @param {Object<string, *>} labels - The labels.
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const parts = Object.keys(labels).map(
+    (name) => `${name}="${escapeLabelValue(labels[name])}"`,
+  );
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Creates an in-memory metrics collector. Pass it to `errorHandler` with the
+ * `metrics` option to count errors by status code, error name and route, and to
+ * record handler durations in a histogram.
+ *
+ * @param {Object} [options={}] - Collector options.
+ * @param {string} [options.prefix='nextjs_'] - Prefix of the metric names.
+ * @param {number[]} [options.buckets] - Upper bounds of the duration histogram buckets, in seconds.
+ *
+ * @returns {{record: Function, toPrometheus: Function, reset: Function}} The collector.
+ *
+ * @example
+ *
+ * // lib/metrics.js
+ * export const metrics = createMetrics();
+ *
+ * // pages/api/users.js
+ * export default errorHandler(handler, { metrics, route: '/api/users' });
+ */
+function createMetrics(options = {}) {
+  const { prefix = 'nextjs_', buckets = DEFAULT_BUCKETS } = options;
+  const sortedBuckets = [...buckets].sort((a, b) => a - b);
+
+  // Error counts and duration histograms, keyed by their formatted labels
+  const errorCounts = new Map();
+  const durations = new Map();
+
+  return {
+    /**
+     * Records a handled request.
+     *
+     * @param {Object} sample - The request outcome.
+     * @param {string} sample.route - The route label.
+     * @param {number} sample.statusCode - The response status code.
+     * @param {number} sample.duration - The handler duration, in milliseconds.
+     * @param {*} [sample.error] - The handled error, if the request failed.
+     */
+    record({ route, statusCode, duration, error }) {
+      if (error !== undefined) {
+        const labels = formatLabels({
+          route,
+          status: statusCode,
+          error: (error && error.name) || 'Error',
+        });
+        errorCounts.set(labels, (errorCounts.get(labels) || 0) + 1);
+      }
+
+      const labels = { route, status: statusCode };
+      const key = formatLabels(labels);
+      let histogram = durations.get(key);
+      if (!histogram) {
+        histogram = {
+          labels,
+          counts: sortedBuckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        durations.set(key, histogram);
+      }
+
+      const seconds = duration / 1000;
+      sortedBuckets.forEach((bound, index) => {
+        if (seconds <= bound) {
+          histogram.counts[index] += 1;
+        }
+      });
+      histogram.sum += seconds;
+      histogram.count += 1;
+    },
+
+    /**
+     * Renders the collected metrics in the Prometheus text exposition format.
+     *
+     * @returns {string}
+     */
+    toPrometheus() {
+      const errorsName = `${prefix}errors_total`;
+      const durationName = `${prefix}handler_duration_seconds`;
+      const lines = [
+        `# HELP ${errorsName} Errors handled by errorHandler.`,
+        `# TYPE ${errorsName} counter`,
+      ];
+
+      errorCounts.forEach((count, labels) => {
+        lines.push(`${errorsName}${labels} ${count}`);
+      });
+
+      lines.push(
+        `# HELP ${durationName} Duration of wrapped handlers in seconds.`,
+        `# TYPE ${durationName} histogram`,
+      );
+
+      durations.forEach((histogram) => {
+        sortedBuckets.forEach((bound, index) => {
+          const labels = formatLabels({ ...histogram.labels, le: bound });
+          lines.push(
+            `${durationName}_bucket${labels} ${histogram.counts[index]}`,
+          );
+        });
+        const infLabels = formatLabels({ ...histogram.labels, le: '+Inf' });
+        const labels = formatLabels(histogram.labels);
+        lines.push(
+          `${durationName}_bucket${infLabels} ${histogram.count}`,
+          `${durationName}_sum${labels} ${histogram.sum}`,
+          `${durationName}_count${labels} ${histogram.count}`,
+        );
+      });
+
+      return `${lines.join('\n')}\n`;
+    },
+
+    /**
+     * Removes all collected samples.
+     */
+    reset() {
+      errorCounts.clear();
+      durations.clear();
+    },
+  };
+}
+
+/**
+ * Safely records a request in a metrics collector. Failures are logged like
+ * logger failures, so metrics never break a response.
+ *
+ * @param {Object} [metrics] - The collector from `createMetrics`.
+ * @param {Object} sample - The request outcome.
+ * @param {string} [sample.route] - The configured route name. Requests of handlers without
+ *        one are labeled 'unknown', since raw paths (e.g. '/api/users/123') would create
+ *        a series per ID.
+ * @param {number} sample.statusCode - The response status code.
+ * @param {number} sample.duration - The handler duration, in milliseconds.
+ * @param {*} [sample.error] - The handled error, if the request failed.
+ */
+function recordMetrics(metrics, { route, statusCode, duration, error }) {
+  if (!metrics || typeof metrics.record !== 'function') {
+    return;
+  }
+  try {
+    metrics.record({
+      route: route || 'unknown',
+      statusCode,
+      duration,
+      error,
+    });
+  } catch (metricsError) {
+    console.error('Metrics failed:', metricsError);
+  }
+}
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  createMetrics,
+  recordMetrics,
+};
@@ -0,0 +1,131 @@
+// src/problemDetails.js
+
+const { CustomError } = require('./customErrors');
+const { getStatusText } = require('./httpStatus');
+
+/**
+ * Media type for RFC 9457 Problem Details documents.
+ */
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Error properties that are never copied into a problem document as extension
+ * members, either because they are represented by a standard member or because
+ * they must stay server-side.
+ */
+const RESERVED_PROPERTIES = new Set([
+  'name',
+  'message',
+  'statusCode',
+  'stack',
+  'cause',
+  'headers',
+  'type',
+  'title',
+  'status',
+  'detail',
+  'instance',
+]);
+
+/**
+ * Converts an error class name into a URL-friendly slug.
+ * For example, 'BadRequestError' becomes 'bad-request'.
+ *
+ * @param {string} name - The error class name.
+ * @returns {string} The slug.
+ */
+function toSlug(name) {
+  return name
+    .replace(/Error$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+/**
+ * Converts an error class name into a human-readable title.
+ * For example, 'BadRequestError' becomes 'Bad Request'.
+ *
+ * @param {string} name - The error class name.
+ * @returns {string} The title.
+ */
+function toTitle(name) {
+  return name
+    .replace(/Error$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2');
+}
+
+/**
+ * Extracts the path of the request URL for use as the `instance` member.
+ * Query strings are dropped so that tokens or other parameters are not echoed back.
+ *
+ * @param {Object} req - The incoming request object.
+ * @returns {string|undefined} The request path, if available.
+ */
+function getInstance(req) {
+  if (!req || typeof req.url !== 'string' || !req.url) {
+    return undefined;
+  }
+
+  try {
+    return new URL(req.url, 'http://localhost').pathname;
+  } catch (urlError) {
+    return undefined;
+  }
+}
+
+/**
+ * Builds an RFC 9457 Problem Details object for an error.
+ *
+ * For `CustomError` instances, the `type` is derived from the error class name
+ * (when a `typeBaseUrl` is configured), the `detail` is the error message and
+ * any additional enumerable properties on the error are carried through as
+ * extension members. All other errors are reported as `about:blank` problems
+ * with the supplied default message.
+ *
+ * @param {Error} error - The error to convert.
+ * @param {Object} req - The incoming request object.
+ * @param {Object} options - Conversion options.
+ * @param {number} options.statusCode - The HTTP status code of the response.
+ * @param {string} options.message - The client-safe message for the `detail` member.
+ * @param {string} [options.typeBaseUrl] - Base URL used to build `type` URIs for custom errors.
+ *
+ * @returns {Object} The Problem Details object.
+ */
+function toProblemDetails(error, req, { statusCode, message, typeBaseUrl }) {
+  const isCustomError = error instanceof CustomError;
+  const problem = {
+    type: 'about:blank',
+    title: getStatusText(statusCode),
+    status: statusCode,
+    detail: message,
+  };
+
+  if (isCustomError && typeBaseUrl && error.name) {
+    problem.type = `${typeBaseUrl.replace(/\/+$/, '')}/${toSlug(error.name)}`;
+    problem.title = toTitle(error.name);
+  }
+
+  const instance = getInstance(req);
+  if (instance) {
+    problem.instance = instance;
+  }
+
+  // Only known errors carry extension members; unexpected errors might hold sensitive data.
+  if (isCustomError) {
+    Object.keys(error).forEach((key) => {
+      if (!RESERVED_PROPERTIES.has(key) && error[key] !== undefined) {
+        problem[key] = error[key];
+      }
+    });
+  }
+
+  return problem;
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  toProblemDetails,
+  toSlug,
+};
@@ -0,0 +1,449 @@
+// src/rateLimit.js
+
+const { TooManyRequestsError } = require('./customErrors');
+const { getHeader } = require('./requestContext');
+
+/**
+ * The rate limiting algorithms.
+ */
+const ALGORITHMS = ['sliding-window', 'token-bucket'];
+
+/**
+ * How often the memory store removes expired entries, in ms.
+ */
+const PRUNE_INTERVAL = 60000;
+
+/**
+ * Creates an in-memory store for rate limit state. State is kept per process, so
+ * limits are not shared between serverless instances or servers; use a shared store
+ * (e.g. Redis) for that. Once it holds `maxKeys` keys, expired keys are removed and,
+ * if that is not enough, the least recently written ones.
+ *
+ * Stores implement `get(key)` and `set(key, state, ttl)`, and optionally `delete(key)`
+ * and `update(key, updater)`. Every method may return a Promise. `state` is a small
+ * JSON-serializable object and `ttl` the time in ms after which it may be discarded.
+ *
+ * A check reads the state, computes the new one and writes it back. With only `get`
+ * and `set` this is not atomic: concurrent requests may read the same state and
+ * together exceed the limit. Stores that can do better implement `update`, which
+ * calls `updater(state)` and writes the `{ state, ttl }` it returns without other
+ * writes to the key in between (e.g. a Redis WATCH/MULTI transaction that is retried
+ * on conflict). This store implements it.
+ *
+ * @param {Object} [options={}] - Store options.
+ * @param {number} [options.maxKeys=10000] - The number of keys kept in memory.
+ *
+ * @returns {{get: Function, set: Function, update: Function, delete: Function, clear: Function}}
+ *          The store.
+ */
+function createMemoryStore(options = {}) {
+  const { maxKeys = 10000 } = options;
+  const entries = new Map();
+  let lastPrune = Date.now();
+
+  // Expired entries are removed lazily, so the store never keeps a timer running
+  const prune = (now, force = false) => {
+    if (!force && now - lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+    lastPrune = now;
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  };
+
+  return {
+    get(key) {
+      const now = Date.now();
+      prune(now);
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > now ? entry.state : undefined;
+    },
+    set(key, state, ttl) {
+      const now = Date.now();
+      // Re-inserted keys move to the end, so the first keys are the least recently written
+      entries.delete(key);
+      if (entries.size >= maxKeys) {
+        prune(now, true);
+      }
+      if (entries.size >= maxKeys) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { state, expiresAt: now + ttl });
+    },
+    update(key, updater) {
+      // Synchronous, so no other request can write the key in between
+      const next = updater(this.get(key));
+      this.set(key, next.state, next.ttl);
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Reads the client IP address of a request. Forwarding headers are set by whoever
+ * sends the request, so they are only read when `trustProxy` says how many proxies
+ * in front of the application append to `X-Forwarded-For`. The entry appended by
+ * the outermost trusted proxy is used, since the entries left of it are client-controlled.
+ *
+ * @param {Object} req - The incoming request object.
+ * @param {number} [trustProxy=0] - The number of trusted proxies in front of the application.
+ * @returns {string} The IP address, or 'unknown'.
+ */
+function getClientIp(req, trustProxy = 0) {
+  if (trustProxy > 0) {
+    const forwardedFor = (getHeader(req, 'x-forwarded-for') || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (forwardedFor.length > 0) {
+      return forwardedFor[Math.max(0, forwardedFor.length - trustProxy)];
+    }
+    const realIp = getHeader(req, 'x-real-ip');
+    if (realIp && realIp.trim()) {
+      return realIp.trim();
+    }
+  }
+  // Set by the platform (e.g. NextRequest.ip on Vercel before Next.js 15)
+  if (req && typeof req.ip === 'string' && req.ip) {
+    return req.ip;
+  }
+  if (req && req.socket && req.socket.remoteAddress) {
+    return req.socket.remoteAddress;
+  }
+  return 'unknown';
+}
+
+/**
+ * Applies the sliding window algorithm. Requests are counted in fixed windows, and
+ * the previous window's count is weighted by how much of it still overlaps the
+ * sliding window, which smooths out bursts at window boundaries.
+ *
+ * @param {Object} [state] - The stored state `{ start, current, previous }`.
+ * @param {Object} settings - The limit, window (ms), cost and current time.
+ * @returns {{state: Object, ttl: number, allowed: boolean, remaining: number,
+ *          reset: number, retryAfter: number|undefined}}
+ */
+function slidingWindow(state, { limit, window, cost, now }) {
+  const start = Math.floor(now / window) * window;
+  let current = 0;
+  let previous = 0;
+  if (state && state.start === start) {
+    ({ current, previous } = state);
+  } else if (state && state.start === start - window) {
+    previous = state.current;
+  }
+
+  const weight = (window - (now - start)) / window;
+  const used = previous * weight + current;
+  const allowed = used + cost <= limit;
+  const windowEnd = start + window - now;
+
+  let retryAfter;
+  if (allowed) {
+    current += cost;
+  } else if (current + cost <= limit) {
+    // Wait until the previous window's weight has dropped far enough
+    retryAfter = ((used + cost - limit) / previous) * window;
+  } else if (current > 0) {
+    // Wait for the next window, and until the current count has slid out far enough
+    retryAfter = windowEnd + window * (1 - Math.max(0, limit - cost) / current);
+  } else {
+    retryAfter = windowEnd;
+  }
+
+  return {
+    state: { start, current, previous },
+    ttl: windowEnd + window,
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - used - (allowed ? cost : 0))),
+    reset: windowEnd,
+    retryAfter,
+  };
+}
+
+/**
+ * Applies the token bucket algorithm. The bucket holds up to `limit` tokens and is
+ * refilled continuously at `limit` tokens per window, so bursts up to the limit are
+ * allowed while the average rate stays bounded.
+ *
+ * @param {Object} [state] - The stored state `{ tokens, updatedAt }`.
+ * @param {Object} settings - The limit, window (ms), cost and current time.
+ * @returns {{state: Object, ttl: number, allowed: boolean, remaining: number,
+ *          reset: number, retryAfter: number|undefined}}
+ */
+function tokenBucket(state, { limit, window, cost, now }) {
+  const rate = limit / window;
+  let tokens = state
+    ? Math.min(limit, state.tokens + Math.max(0, now - state.updatedAt) * rate)
+    : limit;
+
+  const allowed = tokens >= cost;
+  if (allowed) {
+    tokens -= cost;
+  }
+
+  return {
+    state: { tokens, updatedAt: now },
+    ttl: window,
+    allowed,
+    remaining: Math.floor(tokens),
+    reset: (limit - tokens) / rate,
+    retryAfter: allowed ? undefined : (cost - tokens) / rate,
+  };
+}
+
+/**
+ * Builds the `RateLimit-*` headers of the IETF RateLimit header fields draft.
+ *
+ * @param {Object} info - The outcome of a rate limit check.
+ * @returns {Object<string, string>}
+ */
+function getRateLimitHeaders(info) {
+  return {
+    'RateLimit-Limit': String(info.limit),
+    'RateLimit-Remaining': String(info.remaining),
+    'RateLimit-Reset': String(info.reset),
+    'RateLimit-Policy': `${info.limit};w=${Math.ceil(info.window / 1000)}`,
+  };
+}
+
+/**
+ * Creates a rate limiter for wrapped handlers. It is usually passed as the
+ * `rateLimit` option of `errorHandler`, which checks every request before the
+ * handler runs and sends rejected requests a `TooManyRequestsError` (429) response
+ * in the usual error format, with `Retry-After` and `RateLimit-*` headers.
+ *
+ * When the store (or a `key`, `getUserId` or `skip` function) fails, the failure is
+ * logged and the request is allowed, so an unavailable store does not take the
+ * application down.
+ *
+ * @param {Object} [options={}] - Rate limiting options.
+ * @param {string} [options.algorithm='sliding-window'] - 'sliding-window' or 'token-bucket'.
+ * @param {number} [options.limit=60] - The number of requests allowed per window (the bucket size
+ *        for 'token-bucket').
+ * @param {number} [options.window=60000] - The window length in ms (the time to refill the bucket
+ *        for 'token-bucket').
+ * @param {string|Function} [options.key='ip'] - What requests are counted by: 'ip', 'user', or a
+ *        function receiving (req) and returning the key. May be async.
+ * @param {number} [options.trustProxy=0] - The number of trusted proxies in front of the application
+ *        that append to `X-Forwarded-For` (e.g. 1 on Vercel or behind one load balancer). By default
+ *        forwarding headers are ignored and the socket address is used. Requests whose IP address
+ *        is unknown (App Router and Edge requests without `trustProxy`) are not rate limited, and
+ *        this is logged once.
+ * @param {Function} [options.getUserId] - Receives (req) and returns the ID of the signed-in user.
+ *        Required for `key: 'user'`. Anonymous requests are counted by IP address. May be async.
+ * @param {Function} [options.skip] - Receives (req) and returns true for requests that are not
+ *        rate limited (e.g. health checks). May be async.
+ * @param {number} [options.cost=1] - The number of requests each request counts as.
+ * @param {Object} [options.store=createMemoryStore()] - The store holding the state per key. Stores
+ *        without an atomic `update` method may let concurrent requests exceed the limit (see
+ *        `createMemoryStore`).
+ * @param {string} [options.prefix='rl'] - The prefix of store keys, to share a store between limiters.
+ * @param {boolean} [options.headers=true] - Add the `RateLimit-*` headers to allowed responses.
+ * @param {string} [options.message] - The message of the `TooManyRequestsError`. Defaults to the
+ *        class's localized default message.
+ *
+ * @returns {{consume: Function, check: Function, reset: Function}} The rate limiter.
+ *
+ * @example
+ *
+ * const limiter = createRateLimiter({ limit: 10, window: 60000, key: 'ip' });
+ *
+ * export const POST = errorHandler(handler, { rateLimit: limiter });
+ */
+function createRateLimiter(options = {}) {
+  const {
+    algorithm = 'sliding-window',
+    limit = 60,
+    window = 60000,
+    key = 'ip',
+    trustProxy = 0,
+    getUserId = undefined,
+    skip = undefined,
+    cost = 1,
+    store = createMemoryStore(),
+    prefix = 'rl',
+    headers = true,
+    message = undefined,
+  } = options;
+
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new TypeError(
+      `Unknown rate limit algorithm '${algorithm}'. Use 'sliding-window' or 'token-bucket'.`,
+    );
+  }
+  if (!(limit > 0) || !(window > 0)) {
+    throw new TypeError('The rate limit and window must be positive numbers.');
+  }
+  if (key === 'user' && typeof getUserId !== 'function') {
+    throw new TypeError(
+      "Rate limiting by 'user' requires a getUserId function.",
+    );
+  }
+  if (
+    !store ||
+    typeof store.get !== 'function' ||
+    typeof store.set !== 'function'
+  ) {
+    throw new TypeError('The rate limit store must have get and set methods.');
+  }
+
+  const apply = algorithm === 'token-bucket' ? tokenBucket : slidingWindow;
+  let reportedUnknownIp = false;
+
+  /**
+   * Resolves the key a request is counted by.
+   *
+   * @param {Object} req - The incoming request object.
+   * @returns {Promise<string|undefined>} The key, or undefined when the client IP
+   *          address is unknown.
+   */
+  const resolveKey = async (req) => {
+    if (typeof key === 'function') {
+      return `custom:${await key(req)}`;
+    }
+    if (key === 'user') {
+      const userId = await getUserId(req);
+      if (userId !== undefined && userId !== null && userId !== '') {
+        return `user:${userId}`;
+      }
+    }
+    const ip = getClientIp(req, trustProxy);
+    if (ip === 'unknown') {
+      // Counting unknown clients together would turn the limit into an application-wide one
+      if (!reportedUnknownIp) {
+        reportedUnknownIp = true;
+        console.error(
+          'Rate limiting failed:',
+          new Error(
+            'The client IP address is unknown, so requests are not rate limited. Set trustProxy when the application runs behind a proxy.',
+          ),
+        );
+      }
+      return undefined;
+    }
+    return `ip:${ip}`;
+  };
+
+  /**
+   * Counts a request against a key without throwing.
+   *
+   * @param {string} id - The key, such as an IP address or user ID.
+   * @param {number} [requestCost=cost] - The number of requests to count.
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, reset: number,
+   *          retryAfter: number|undefined, window: number}>} The outcome, with `reset` and
+   *          `retryAfter` in seconds.
+   */
+  const consume = async (id, requestCost = cost) => {
+    const storeKey = `${prefix}:${id}`;
+    let outcome;
+    const updater = (state) => {
+      outcome = apply(state || undefined, {
+        limit,
+        window,
+        cost: requestCost,
+        now: Date.now(),
+      });
+      return { state: outcome.state, ttl: Math.ceil(outcome.ttl) };
+    };
+
+    if (typeof store.update === 'function') {
+      await store.update(storeKey, updater);
+    } else {
+      const next = updater(await store.get(storeKey));
+      await store.set(storeKey, next.state, next.ttl);
+    }
+
+    return {
+      allowed: outcome.allowed,
+      limit,
+      remaining: outcome.remaining,
+      reset: Math.ceil(outcome.reset / 1000),
+      retryAfter:
+        outcome.retryAfter === undefined
+          ? undefined
+          : Math.max(1, Math.ceil(outcome.retryAfter / 1000)),
+      window,
+    };
+  };
+
+  /**
+   * Checks a request and throws a `TooManyRequestsError` when it exceeds the limit.
+   *
+   * @param {Object} req - The incoming request object.
+   * @returns {Promise<Object<string, string>>} The headers for the response, which are
+   *          empty for skipped requests, requests from an unknown IP address or when the
+   *          store failed.
+   */
+  const check = async (req) => {
+    let info;
+    try {
+      if (skip && (await skip(req))) {
+        return {};
+      }
+      const id = await resolveKey(req);
+      if (id === undefined) {
+        return {};
+      }
+      info = await consume(id);
+    } catch (limiterError) {
+      console.error('Rate limiting failed:', limiterError);
+      return {};
+    }
+
+    const rateLimitHeaders = headers ? getRateLimitHeaders(info) : {};
+    if (!info.allowed) {
+      throw new TooManyRequestsError(message, {
+        retryAfter: info.retryAfter,
+        headers: getRateLimitHeaders(info),
+      });
+    }
+    return rateLimitHeaders;
+  };
+
+  /**
+   * Forgets the state of a key, e.g. after a successful sign-in.
+   *
+   * @param {string} id - The key, as passed to `consume` (e.g. 'ip:203.0.113.7' or 'user:42').
+   * @returns {Promise<void>}
+   */
+  const reset = async (id) => {
+    if (typeof store.delete === 'function') {
+      await store.delete(`${prefix}:${id}`);
+    }
+  };
+
+  return { consume, check, reset };
+}
+
+/**
+ * Normalizes the `rateLimit` option of the handlers: a limiter from
+ * `createRateLimiter` is used as it is, and an options object creates one.
+ *
+ * @param {Object} [rateLimit] - The `rateLimit` option.
+ * @returns {Object|undefined} The rate limiter, or undefined when rate limiting is off.
+ */
+function toRateLimiter(rateLimit) {
+  if (!rateLimit) {
+    return undefined;
+  }
+  if (typeof rateLimit.check === 'function') {
+    return rateLimit;
+  }
+  return createRateLimiter(rateLimit);
+}
+
+module.exports = {
+  createMemoryStore,
+  createRateLimiter,
+  getClientIp,
+  toRateLimiter,
+};
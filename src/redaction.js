@@ -0,0 +1,275 @@
+// src/redaction.js
+
+/**
+ * Replacement for redacted values.
+ */
+const DEFAULT_CENSOR = '[REDACTED]';
+
+/**
+ * Property names whose values are always redacted, compared case-insensitively
+ * and ignoring '-' and '_' (so 'apiKey' also matches 'x-api-key' or 'API_KEY').
+ */
+const DEFAULT_REDACT_KEYS = [
+  'authorization',
+  'proxyAuthorization',
+  'cookie',
+  'setCookie',
+  'password',
+  'passwd',
+  'pwd',
+  'secret',
+  'clientSecret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'idToken',
+  'apiKey',
+  'xApiKey',
+  'creditCard',
+  'cardNumber',
+  'cvv',
+  'cvc',
+  'ssn',
+];
+
+/**
+ * Determines whether a digit sequence passes the Luhn checksum used by card numbers.
+ *
+ * @param {string} value - The candidate card number, possibly with spaces or dashes.
+ * @returns {boolean}
+ */
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Card numbers as they are written: 13 to 19 contiguous digits, 4-4-4-4 groups
+ * (with 1 to 7 digits in the last group) or 4-6-4/4-6-5 groups, separated by
+ * one kind of space or dash. Other groupings, such as the digit-only segments of
+ * a UUID, are not treated as card numbers.
+ */
+const CARD_NUMBER_PATTERN =
+  /\b(?:\d{13,19}|\d{4}([ -])\d{4}\1\d{4}\1\d{1,7}|\d{4}([ -])\d{6}\2\d{4,5})\b/g;
+
+/**
+ * Patterns redacted inside every string: credentials in Authorization values and
+ * query strings, JSON Web Tokens, card numbers (Luhn-checked) and email addresses.
+ * Entries are regular expressions, or `{ pattern, test }` objects whose matches
+ * are only redacted when `test(match)` returns true.
+ */
+const DEFAULT_REDACT_PATTERNS = [
+  /(?<=\b(?:Bearer|Basic|Digest)\s+)[A-Za-z0-9\-._~+/]+=*/gi,
+  /(?<=\b(?:password|passwd|pwd|secret|token|access_token|api[_-]?key)=)[^&\s"']+/gi,
+  /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  { pattern: CARD_NUMBER_PATTERN, test: isLuhnValid },
+  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+];
+
+/**
+ * Normalizes a property name for comparison with the redacted keys.
+ *
+ * @param {string} key - The property name.
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key).replace(/[-_]/g, '').toLowerCase();
+}
+
+/**
+ * Determines whether a value is a plain object (not a class instance).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Converts a pattern entry into a global regular expression with an optional test.
+ *
+ * @param {RegExp|{pattern: RegExp, test?: Function}} entry - The pattern entry.
+ * @returns {{pattern: RegExp, test?: Function}}
+ */
+function toPattern(entry) {
+  const { pattern, test } =
+    entry instanceof RegExp ? { pattern: entry } : entry;
+  const flags = pattern.flags.includes('g')
+    ? pattern.flags
+    : `${pattern.flags}g`;
+  return { pattern: new RegExp(pattern.source, flags), test };
+}
+
+/**
+ * Creates a function that returns a redacted copy of a value. Values under
+ * sensitive keys or key paths are replaced by the censor, and sensitive patterns
+ * are replaced inside strings. Plain objects, arrays and errors are traversed;
+ * errors keep their prototype, so `instanceof` checks still work on the copy.
+ * Values without anything to redact are returned as they are.
+ *
+ * @param {Object} [options={}] - Redaction options.
+ * @param {string[]} [options.keys=[]] - Additional property names to redact at any depth.
+ * @param {string[]} [options.paths=[]] - Dot-separated key paths to redact (e.g. 'details.user.email'),
+ *        matched against the end of a property's path. `*` matches any single key.
+ * @param {Array<RegExp|{pattern: RegExp, test: Function}>} [options.patterns=[]] - Additional patterns
+ *        redacted inside strings.
+ * @param {string} [options.censor='[REDACTED]'] - The replacement for redacted values.
+ * @param {boolean} [options.defaults=true] - Whether to include `DEFAULT_REDACT_KEYS` and
+ *        `DEFAULT_REDACT_PATTERNS`.
+ *
+ * @returns {Function} A function receiving a value and returning the redacted value.
+ *
+ * @example
+ *
+ * const redact = createRedactor({ keys: ['iban'], paths: ['details.user.phone'] });
+ * redact({ details: { user: { phone: '555-0100' }, password: 'hunter2' } });
+ * // { details: { user: { phone: '[REDACTED]' }, password: '[REDACTED]' } }
+ */
+function createRedactor(options = {}) {
+  const {
+    keys = [],
+    paths = [],
+    patterns = [],
+    censor = DEFAULT_CENSOR,
+    defaults = true,
+  } = options;
+
+  const redactedKeys = new Set(
+    [...(defaults ? DEFAULT_REDACT_KEYS : []), ...keys].map(normalizeKey),
+  );
+  const redactedPaths = paths.map((path) => path.split('.'));
+  const redactedPatterns = [
+    ...(defaults ? DEFAULT_REDACT_PATTERNS : []),
+    ...patterns,
+  ].map(toPattern);
+
+  const matchesPath = (path) =>
+    redactedPaths.some(
+      (segments) =>
+        segments.length <= path.length &&
+        segments.every(
+          (segment, index) =>
+            segment === '*' ||
+            segment === path[path.length - segments.length + index],
+        ),
+    );
+
+  const redactString = (value) =>
+    redactedPatterns.reduce(
+      (result, { pattern, test }) =>
+        result.replace(pattern, (match) =>
+          !test || test(match) ? censor : match,
+        ),
+      value,
+    );
+
+  // Objects being traversed, to stop at circular references
+  const visiting = new WeakSet();
+
+  const walk = (value, path) => {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (!value || typeof value !== 'object' || visiting.has(value)) {
+      return value;
+    }
+
+    const isError = value instanceof Error;
+    if (!isError && !Array.isArray(value) && !isPlainObject(value)) {
+      return value;
+    }
+
+    visiting.add(value);
+    try {
+      // Errors keep message, stack and cause in non-enumerable properties
+      const names = isError
+        ? Object.getOwnPropertyNames(value)
+        : Object.keys(value);
+      const redacted = new Map();
+
+      names.forEach((name) => {
+        const descriptor = Object.getOwnPropertyDescriptor(value, name);
+        if (!descriptor || !('value' in descriptor)) {
+          return;
+        }
+        const childPath = [...path, name];
+        const next =
+          descriptor.value !== undefined &&
+          (redactedKeys.has(normalizeKey(name)) || matchesPath(childPath))
+            ? censor
+            : walk(descriptor.value, childPath);
+        if (next !== descriptor.value) {
+          redacted.set(name, next);
+        }
+      });
+
+      if (redacted.size === 0) {
+        return value;
+      }
+
+      if (Array.isArray(value)) {
+        return value.map((item, index) =>
+          redacted.has(String(index)) ? redacted.get(String(index)) : item,
+        );
+      }
+
+      const copy = Object.create(Object.getPrototypeOf(value));
+      names.forEach((name) => {
+        const descriptor = Object.getOwnPropertyDescriptor(value, name);
+        Object.defineProperty(
+          copy,
+          name,
+          redacted.has(name)
+            ? { ...descriptor, value: redacted.get(name) }
+            : descriptor,
+        );
+      });
+      return copy;
+    } finally {
+      visiting.delete(value);
+    }
+  };
+
+  return (value) => walk(value, []);
+}
+
+/**
+ * Normalizes the `redact` option of the handlers into a redaction function:
+ * `false` disables redaction, a function is used as it is, and an options object
+ * (or nothing) creates a redactor with the safe defaults.
+ *
+ * @param {boolean|Function|Object} [redact] - The `redact` option.
+ * @returns {Function}
+ */
+function toRedactor(redact) {
+  if (redact === false) {
+    return (value) => value;
+  }
+  if (typeof redact === 'function') {
+    return redact;
+  }
+  return createRedactor(redact && typeof redact === 'object' ? redact : {});
+}
+
+module.exports = {
+  DEFAULT_REDACT_KEYS,
+  DEFAULT_REDACT_PATTERNS,
+  createRedactor,
+  toRedactor,
+};
@@ -0,0 +1,343 @@
+// src/renderers.js
+
+const { PROBLEM_CONTENT_TYPE } = require('./problemDetails');
+const { getStatusText } = require('./httpStatus');
+
+/**
+ * Renderers registered globally through `registerRenderer`, keyed by media type.
+ */
+const registeredRenderers = new Map();
+
+/**
+ * Escapes a value for safe inclusion in HTML or XML.
+ *
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders an HTML error page. When debug information is available, the page
+ * also shows the stack frames of the error and of every error in its cause chain.
+ *
+ * @param {Object} params - Page parameters.
+ * @param {number} params.statusCode - The HTTP status code of the response.
+ * @param {string} params.message - The client-facing error message.
+ * @param {string} [params.requestId] - The request correlation ID.
+ * @param {Object} [params.debug] - The debug information from `createDebugInfo`.
+ * @returns {string} The HTML document.
+ */
+function renderHtmlPage({ statusCode, message, requestId, debug }) {
+  const sections = [];
+  let entry = debug;
+
+  while (entry) {
+    const heading = sections.length === 0 ? 'Error' : 'Caused by';
+    sections.push(
+      `<section><h2>${heading}: ${escapeHtml(entry.name)}</h2>` +
+        `<p>${escapeHtml(entry.message)}</p>` +
+        `<pre>${entry.stack.map(escapeHtml).join('\n')}</pre></section>`,
+    );
+    entry = entry.cause;
+  }
+
+  const title = `${statusCode} ${getStatusText(statusCode)}`;
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`,
+    '<style>body{font-family:system-ui,sans-serif;margin:2rem;color:#222}' +
+      'pre{background:#f5f5f5;padding:1rem;overflow:auto}' +
+      'h2{color:#b00020;font-size:1.1rem}</style></head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>${escapeHtml(message)}</p>`,
+    requestId ? `<p>Request ID: <code>${escapeHtml(requestId)}</code></p>` : '',
+    ...sections,
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
+
+/**
+ * Renders a plain text error message.
+ *
+ * @param {Object} payload - The render payload.
+ * @returns {string}
+ */
+function renderText({ statusCode, message, requestId, code, fields }) {
+  const lines = [`${statusCode} ${getStatusText(statusCode)}: ${message}`];
+
+  if (code !== undefined) {
+    lines.push(`Code: ${code}`);
+  }
+  if (Array.isArray(fields)) {
+    fields.forEach((field) => {
+      lines.push(`- ${field.path}: ${field.message}`);
+    });
+  }
+  if (requestId) {
+    lines.push(`Request ID: ${requestId}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Renders an XML error document.
+ *
+ * @param {Object} payload - The render payload.
+ * @returns {string}
+ */
+function renderXml({ statusCode, type, message, requestId, code, fields }) {
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<error>',
+    `  <status>${statusCode}</status>`,
+    `  <type>${escapeHtml(type)}</type>`,
+    `  <message>${escapeHtml(message)}</message>`,
+  ];
+
+  if (code !== undefined) {
+    parts.push(`  <code>${escapeHtml(code)}</code>`);
+  }
+  if (Array.isArray(fields)) {
+    parts.push('  <fields>');
+    fields.forEach((field) => {
+      const rule = field.rule ? ` rule="${escapeHtml(field.rule)}"` : '';
+      parts.push(
+        `    <field path="${escapeHtml(field.path)}"${rule}>${escapeHtml(field.message)}</field>`,
+      );
+    });
+    parts.push('  </fields>');
+  }
+  if (requestId) {
+    parts.push(`  <requestId>${escapeHtml(requestId)}</requestId>`);
+  }
+  parts.push('</error>');
+  return parts.join('\n');
+}
+
+/**
+ * Built-in renderers, in order of server preference.
+ * Each renderer has a `type` (the media type matched against the Accept header),
+ * the `contentType` sent in the response and a `render` function returning a string.
+ */
+const builtInRenderers = [
+  {
+    type: 'application/json',
+    contentType: 'application/json',
+    render: (payload) => JSON.stringify(payload.body),
+  },
+  {
+    type: PROBLEM_CONTENT_TYPE,
+    contentType: PROBLEM_CONTENT_TYPE,
+    render: (payload) => JSON.stringify(payload.problem),
+  },
+  {
+    type: 'text/html',
+    contentType: 'text/html; charset=utf-8',
+    render: renderHtmlPage,
+  },
+  {
+    type: 'text/plain',
+    contentType: 'text/plain; charset=utf-8',
+    render: renderText,
+  },
+  {
+    type: 'application/xml',
+    contentType: 'application/xml; charset=utf-8',
+    render: renderXml,
+  },
+];
+
+/**
+ * Creates a renderer entry from a media type and render function.
+ *
+ * @param {string} type - The media type (e.g. 'application/vnd.api+json').
+ * @param {Function|Object} renderer - A render function, or an object with
+ *                                     `render` and an optional `contentType`.
+ * @returns {Object} The renderer entry.
+ */
+function toRenderer(type, renderer) {
+  const normalizedType = type.toLowerCase();
+  if (typeof renderer === 'function') {
+    return { type: normalizedType, contentType: type, render: renderer };
+  }
+  return {
+    type: normalizedType,
+    contentType: renderer.contentType || type,
+    render: renderer.render,
+  };
+}
+
+/**
+ * Registers a global error renderer for a media type. Renderers receive a payload
+ * with `statusCode`, `type`, `message`, `code`, `fields`, `requestId`, `debug`,
+ * `body` (the JSON error body), `problem` (the Problem Details object), `error`
+ * and `req`, and return the response body as a string.
+ *
+ * @param {string} type - The media type the renderer produces.
+ * @param {Function|Object} renderer - A render function, or an object with
+ *                                     `render` and an optional `contentType`.
+ *
+ * @returns {Function} A function that removes the renderer from the registry.
+ *
+ * @example
+ *
+ * registerRenderer('application/vnd.api+json', ({ statusCode, message }) =>
+ *   JSON.stringify({ errors: [{ status: String(statusCode), detail: message }] }),
+ * );
+ */
+function registerRenderer(type, renderer) {
+  const render =
+    typeof renderer === 'function' ? renderer : renderer && renderer.render;
+  if (typeof type !== 'string' || typeof render !== 'function') {
+    throw new TypeError(
+      'registerRenderer expects a media type and a render function.',
+    );
+  }
+
+  const entry = toRenderer(type, renderer);
+  registeredRenderers.set(entry.type, entry);
+
+  return () => {
+    if (registeredRenderers.get(entry.type) === entry) {
+      registeredRenderers.delete(entry.type);
+    }
+  };
+}
+
+/**
+ * Removes all globally registered renderers. Built-in renderers are not affected.
+ */
+function clearRenderers() {
+  registeredRenderers.clear();
+}
+
+/**
+ * Parses an Accept header into media ranges with their quality values.
+ *
+ * @param {string} header - The Accept header value.
+ * @returns {Array<{type: string, q: number}>}
+ */
+function parseAccept(header) {
+  return header
+    .split(',')
+    .map((part) => {
+      const [range, ...params] = part.trim().split(';');
+      let q = 1;
+      params.forEach((param) => {
+        const [key, value] = param.trim().split('=');
+        if (key === 'q') {
+          const parsed = parseFloat(value);
+          q = Number.isNaN(parsed) ? 0 : parsed;
+        }
+      });
+      return { type: range.trim().toLowerCase(), q };
+    })
+    .filter((range) => range.type);
+}
+
+/**
+ * Returns the quality with which a media type is accepted. The most specific
+ * matching range wins, as described in RFC 9110.
+ *
+ * @param {string} type - The media type of a renderer.
+ * @param {Array<{type: string, q: number}>} ranges - The parsed Accept header.
+ * @returns {number} The quality, or -1 if no range matches.
+ */
+function getQuality(type, ranges) {
+  const [major] = type.split('/');
+  let best = { specificity: -1, q: -1 };
+
+  ranges.forEach((range) => {
+    let specificity = -1;
+    if (range.type === type) {
+      specificity = 2;
+    } else if (range.type === `${major}/*`) {
+      specificity = 1;
+    } else if (range.type === '*/*') {
+      specificity = 0;
+    }
+    if (specificity > best.specificity) {
+      best = { specificity, q: range.q };
+    }
+  });
+
+  return best.q;
+}
+
+/**
+ * Selects the renderer for a request based on its Accept header.
+ *
+ * @param {string|undefined} accept - The Accept header value.
+ * @param {Object} [options={}] - Selection options.
+ * @param {string} [options.defaultType='application/json'] - The preferred media type,
+ *                                                            used when the client has no preference.
+ * @param {Object<string, Function|Object>} [options.renderers={}] - Per-handler renderers, keyed by media type.
+ *
+ * @returns {Object|null} The selected renderer, or null if the client accepts
+ *                        none of the available media types.
+ */
+function selectRenderer(
+  accept,
+  { defaultType = 'application/json', renderers = {} } = {},
+) {
+  const candidates = [];
+  const seen = new Set();
+  const add = (renderer) => {
+    if (!seen.has(renderer.type)) {
+      seen.add(renderer.type);
+      candidates.push(renderer);
+    }
+  };
+
+  Object.keys(renderers).forEach((type) =>
+    add(toRenderer(type, renderers[type])),
+  );
+  registeredRenderers.forEach(add);
+  builtInRenderers.forEach(add);
+
+  // The default renderer is preferred whenever qualities are equal
+  const defaultRenderer = candidates.find(
+    (renderer) => renderer.type === defaultType,
+  );
+  const ordered = [
+    defaultRenderer,
+    ...candidates.filter((renderer) => renderer !== defaultRenderer),
+  ].filter(Boolean);
+
+  if (!accept || !accept.trim()) {
+    return ordered[0];
+  }
+
+  const ranges = parseAccept(accept);
+  let selected = null;
+  let selectedQuality = 0;
+
+  ordered.forEach((renderer) => {
+    const q = getQuality(renderer.type, ranges);
+    if (q > selectedQuality) {
+      selected = renderer;
+      selectedQuality = q;
+    }
+  });
+
+  return selected;
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtmlPage,
+  registerRenderer,
+  clearRenderers,
+  selectRenderer,
+};
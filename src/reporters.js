@@ -0,0 +1,208 @@
+// src/reporters.js
+
+/**
+ * Determines whether an error matches an entry of the `ignore` list, which may
+ * hold error classes (matched with `instanceof`) or error names.
+ *
+ * @param {*} error - The handled error.
+ * @param {Array<Function|string>} ignore - The ignored error classes or names.
+ * @returns {boolean}
+ */
+function isIgnored(error, ignore) {
+  return ignore.some((entry) => {
+    if (typeof entry === 'function') {
+      return error instanceof entry;
+    }
+    return Boolean(error) && error.name === entry;
+  });
+}
+
+/**
+ * Builds the key used to detect duplicate reports.
+ *
+ * @param {*} error - The handled error.
+ * @param {Object} event - The report event.
+ * @returns {string}
+ */
+function getDedupeKey(error, event) {
+  const name = (error && error.name) || typeof error;
+  const message = error && error.message ? error.message : String(error);
+  return `${event.statusCode}:${name}:${message}`;
+}
+
+/**
+ * Creates an error reporter from a report function, adding the filtering shared
+ * by all reporters: status filtering, ignored classes, sampling and deduplication.
+ *
+ * The report function receives (error, event), where event holds the requestId,
+ * method, url, params, duration, statusCode and level of the handled error.
+ *
+ * @param {Function} report - The function sending the error to a reporting service.
+ * @param {Object} [options={}] - Filtering options.
+ * @param {Function} [options.shouldReport] - Receives (error, event) and decides whether to report.
+ *                                            Defaults to reporting 5xx errors only.
+ * @param {Array<Function|string>} [options.ignore=[]] - Error classes or names that are never reported.
+ * @param {number} [options.sampleRate=1] - The fraction of errors reported, between 0 and 1.
+ * @param {number} [options.dedupeWindow=0] - Time in ms during which identical errors (same status,
+ *                                            name and message) are reported only once. 0 disables it.
+ *
+ * @returns {{report: Function}} The reporter.
+ *
+ * @example
+ *
+ * const reporter = createReporter((error, event) => sendToService(error, event), {
+ *   ignore: [NotFoundError],
+ *   sampleRate: 0.5,
+ *   dedupeWindow: 60000,
+ * });
+ *
+ * export default errorHandler(handler, { reporter });
+ */
+function createReporter(report, options = {}) {
+  const {
+    shouldReport = (error, event) => event.statusCode >= 500,
+    ignore = [],
+    sampleRate = 1,
+    dedupeWindow = 0,
+  } = options;
+
+  // Last report time of each recently reported error, keyed by getDedupeKey
+  const lastReported = new Map();
+
+  return {
+    report(error, event) {
+      if (isIgnored(error, ignore) || !shouldReport(error, event)) {
+        return undefined;
+      }
+
+      if (sampleRate < 1 && Math.random() >= sampleRate) {
+        return undefined;
+      }
+
+      if (dedupeWindow > 0) {
+        const now = Date.now();
+        lastReported.forEach((time, key) => {
+          if (now - time >= dedupeWindow) {
+            lastReported.delete(key);
+          }
+        });
+
+        const key = getDedupeKey(error, event);
+        if (lastReported.has(key)) {
+          return undefined;
+        }
+        lastReported.set(key, now);
+      }
+
+      return report(error, event);
+    },
+  };
+}
+
+/**
+ * Creates a reporter sending errors to Sentry with the correlation ID as a tag and
+ * the request metadata as context.
+ *
+ * @param {Object} Sentry - The Sentry SDK (e.g. `@sentry/nextjs`).
+ * @param {Object} [options={}] - Filtering options (see `createReporter`).
+ *
+ * @returns {{report: Function}} The reporter.
+ *
+ * @example
+ *
+ * const Sentry = require('@sentry/nextjs');
+ *
+ * export default errorHandler(handler, { reporter: sentryReporter(Sentry) });
+ */
+function sentryReporter(Sentry, options = {}) {
+  return createReporter((error, event) => {
+    Sentry.captureException(error, {
+      level: event.level === 'warn' ? 'warning' : event.level,
+      tags: {
+        requestId: event.requestId,
+        statusCode: String(event.statusCode),
+      },
+      contexts: {
+        request: {
+          method: event.method,
+          url: event.url,
+          params: event.params,
+          duration: event.duration,
+        },
+      },
+    });
+  }, options);
+}
+
+/**
+ * Creates a reporter that keeps reports in memory, for tests. Reports are stored
+ * in `reporter.reports` as `{ error, event }` objects and removed with `clear()`.
+ *
+ * @param {Object} [options={}] - Filtering options (see `createReporter`).
+ *
+ * @returns {{report: Function, reports: Array<{error: *, event: Object}>, clear: Function}}
+ */
+function createMemoryReporter(options = {}) {
+  const reports = [];
+  const reporter = createReporter((error, event) => {
+    reports.push({ error, event });
+  }, options);
+
+  return {
+    ...reporter,
+    reports,
+    clear() {
+      reports.length = 0;
+    },
+  };
+}
+
+/**
+ * Normalizes the `reporter` option into a list of reporters. Plain functions are
+ * wrapped with `createReporter` so they get the default filtering.
+ *
+ * @param {Function|Object|Array} reporter - The `reporter` option.
+ * @returns {Array<{report: Function}>}
+ */
+function toReporterList(reporter) {
+  if (!reporter) {
+    return [];
+  }
+  const list = Array.isArray(reporter) ? reporter : [reporter];
+  return list
+    .map((entry) =>
+      typeof entry === 'function' ? createReporter(entry) : entry,
+    )
+    .filter((entry) => entry && typeof entry.report === 'function');
+}
+
+/**
+ * Sends an error to every reporter. Reporters are not awaited, so a slow reporting
+ * service never delays the response; failures are logged like logger failures.
+ *
+ * @param {Array<{report: Function}>} reporters - Reporters from `toReporterList`.
+ * @param {*} error - The handled error.
+ * @param {Object} event - The report event.
+ */
+function reportError(reporters, error, event) {
+  reporters.forEach((reporter) => {
+    try {
+      const result = reporter.report(error, event);
+      if (result && typeof result.catch === 'function') {
+        result.catch((reporterError) => {
+          console.error('Reporter failed:', reporterError);
+        });
+      }
+    } catch (reporterError) {
+      console.error('Reporter failed:', reporterError);
+    }
+  });
+}
+
+module.exports = {
+  createReporter,
+  sentryReporter,
+  createMemoryReporter,
+  toReporterList,
+  reportError,
+};
@@ -0,0 +1,160 @@
+// src/requestContext.js
+
+/**
+ * Incoming request IDs are only trusted if they are reasonably short and made of
+ * safe characters, so they cannot be used to inject content into headers or logs.
+ */
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:\-]{1,128}$/;
+
+/**
+ * Reads a header from a request object.
+ * Supports both Node.js style requests (API Routes, plain `headers` object) and
+ * Web `Request` objects (App Router, `Headers` instance).
+ *
+ * @param {Object} req - The incoming request object.
+ * @param {string} name - The header name.
+ * @returns {string|undefined} The header value, if present.
+ */
+function getHeader(req, name) {
+  if (!req || !req.headers) {
+    return undefined;
+  }
+
+  const { headers } = req;
+  const value =
+    typeof headers.get === 'function'
+      ? headers.get(name)
+      : headers[name.toLowerCase()];
+
+  if (Array.isArray(value)) {
+    return value[0];
+  }
+  return value === null || value === undefined ? undefined : String(value);
+}
+
+/**
+ * Counter that keeps fallback request IDs unique within a millisecond.
+ */
+let fallbackSequence = 0;
+
+/**
+ * Fills bytes for a request ID without Web Crypto: a timestamp and a counter
+ * keep them unique, `Math.random` fills the rest. They are not suitable as secrets.
+ *
+ * @returns {Uint8Array} 16 bytes.
+ */
+function getFallbackBytes() {
+  const bytes = new Uint8Array(16);
+  let time = Date.now();
+  for (let index = 5; index >= 0; index--) {
+    bytes[index] = time % 256;
+    time = Math.floor(time / 256);
+  }
+  fallbackSequence = (fallbackSequence + 1) % 65536;
+  bytes[6] = fallbackSequence >> 8;
+  bytes[7] = fallbackSequence & 0xff;
+  for (let index = 8; index < 16; index++) {
+    bytes[index] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+}
+
+/**
+ * Generates a new random request ID.
+ * Uses the Web Crypto API when available (Node.js 19+, Edge runtime, browsers).
+ * Node.js 18 only exposes it to ES modules, so CommonJS code there gets an ID
+ * built from a timestamp, a counter and `Math.random` instead, which keeps the
+ * Node.js `crypto` module out of the Edge bundle.
+ *
+ * @returns {string} A UUID v4 string.
+ */
+function generateRequestId() {
+  const webCrypto = globalThis.crypto;
+
+  if (webCrypto && typeof webCrypto.randomUUID === 'function') {
+    return webCrypto.randomUUID();
+  }
+
+  const bytes =
+    webCrypto && typeof webCrypto.getRandomValues === 'function'
+      ? webCrypto.getRandomValues(new Uint8Array(16))
+      : getFallbackBytes();
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0'));
+  return [
+    hex.slice(0, 4).join(''),
+    hex.slice(4, 6).join(''),
+    hex.slice(6, 8).join(''),
+    hex.slice(8, 10).join(''),
+    hex.slice(10).join(''),
+  ].join('-');
+}
+
+/**
+ * Determines whether the second argument of a wrapped handler is a Pages Router
+ * response object. App Router handlers receive a context object such as
+ * `{ params }` in that position, which never has response methods.
+ *
+ * @param {*} res - The second argument passed to the wrapped handler.
+ * @returns {boolean}
+ */
+function isPagesResponse(res) {
+  return (
+    Boolean(res) && typeof res === 'object' && typeof res.status === 'function'
+  );
+}
+
+/**
+ * Reads the dynamic route parameters from an App Router context object.
+ * Since Next.js 15 `params` is a Promise, so it is awaited; a rejected Promise
+ * yields `undefined` rather than hiding the original error.
+ *
+ * @param {Object} [routeContext] - The App Router context (e.g. `{ params }`).
+ * @returns {Promise<Object|undefined>} The route parameters, if any.
+ */
+async function resolveParams(routeContext) {
+  if (
+    !routeContext ||
+    typeof routeContext !== 'object' ||
+    !routeContext.params
+  ) {
+    return undefined;
+  }
+
+  try {
+    return await routeContext.params;
+  } catch (paramsError) {
+    return undefined;
+  }
+}
+
+/**
+ * Resolves the correlation ID for a request. A valid ID from the incoming header
+ * is reused so that IDs assigned by proxies or clients are preserved; otherwise a
+ * new one is generated.
+ *
+ * @param {Object} req - The incoming request object.
+ * @param {string} [headerName='x-request-id'] - The header carrying the request ID.
+ * @param {Function} [generate=generateRequestId] - The function used to create new IDs.
+ * @returns {string} The request ID.
+ */
+function resolveRequestId(
+  req,
+  headerName = 'x-request-id',
+  generate = generateRequestId,
+) {
+  const incoming = getHeader(req, headerName);
+  if (incoming && VALID_REQUEST_ID.test(incoming)) {
+    return incoming;
+  }
+  return String(generate());
+}
+
+module.exports = {
+  getHeader,
+  generateRequestId,
+  isPagesResponse,
+  resolveParams,
+  resolveRequestId,
+};
@@ -0,0 +1,273 @@
+// src/safeFetch.js
+
+const {
+  BadGatewayError,
+  GatewayTimeoutError,
+  createHttpError,
+} = require('./customErrors');
+const { PROBLEM_CONTENT_TYPE } = require('./problemDetails');
+const { parseRetryAfter } = require('./client');
+
+/**
+ * Upstream 4xx statuses forwarded to the client by default. They describe the
+ * requested resource (it is missing, conflicting, locked, ...) rather than a
+ * mistake in the upstream call, which is reported as a Bad Gateway instead.
+ */
+const DEFAULT_FORWARD_STATUSES = [404, 409, 410, 412, 422, 423, 429];
+
+/**
+ * Methods retried by default. Only idempotent methods can be sent twice safely.
+ */
+const DEFAULT_RETRY_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Upstream statuses retried by default.
+ */
+const DEFAULT_RETRY_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Describes the upstream request for the `cause` of converted errors, which is
+ * logged but never sent to the client.
+ *
+ * @param {string|URL|Request} input - The fetched resource.
+ * @param {string} method - The request method.
+ * @returns {string}
+ */
+function describeRequest(input, method) {
+  const url = typeof input === 'object' && input.url ? input.url : input;
+  return `${method} ${String(url)}`;
+}
+
+/**
+ * Waits before a retry. Resolves early (and the caller stops) when the signal aborts.
+ *
+ * @param {number} delay - The delay in ms.
+ * @param {AbortSignal} [signal] - The caller's signal.
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, delay);
+    function done() {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', done);
+      }
+      resolve();
+    }
+    if (signal) {
+      signal.addEventListener('abort', done, { once: true });
+    }
+  });
+}
+
+/**
+ * Discards an unread response body so the connection can be reused.
+ *
+ * @param {Response} response - The response.
+ */
+async function discardBody(response) {
+  try {
+    if (response.body && typeof response.body.cancel === 'function') {
+      await response.body.cancel();
+    }
+  } catch (cancelError) {
+    // The body was already consumed or closed
+  }
+}
+
+/**
+ * Reads an upstream Problem Details document, if the response holds one.
+ *
+ * @param {Response} response - The failed response.
+ * @returns {Promise<Object|undefined>}
+ */
+async function readProblem(response) {
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.toLowerCase().startsWith(PROBLEM_CONTENT_TYPE)) {
+    await discardBody(response);
+    return undefined;
+  }
+  try {
+    return await response.json();
+  } catch (parseError) {
+    return undefined;
+  }
+}
+
+/**
+ * Calls an upstream service with `fetch` and converts failures into CustomErrors,
+ * so route handlers can let them propagate to `errorHandler`:
+ *
+ * - Network failures become a `BadGatewayError` (502).
+ * - Aborted and timed-out requests become a `GatewayTimeoutError` (504).
+ * - Upstream 5xx responses become a `BadGatewayError`.
+ * - Upstream 4xx responses listed in `forwardStatuses` become the matching error
+ *   class (e.g. `NotFoundError` for 404, with `retryAfter` for 429). Other 4xx
+ *   responses are upstream call mistakes and become a `BadGatewayError`.
+ *
+ * Converted errors use the default client-safe messages; the upstream method, URL
+ * and status are kept in their `cause`. Idempotent requests can be retried with
+ * exponential backoff.
+ *
+ * @param {string|URL|Request} input - The resource to fetch.
+ * @param {Object} [init={}] - Options passed to `fetch`. Its `signal` aborts the request and retries.
+ * @param {Object} [options={}] - Conversion and retry options.
+ * @param {Function} [options.fetch] - The fetch implementation. Defaults to the global `fetch`.
+ * @param {number} [options.timeout=0] - The time in ms each attempt may take. 0 disables it.
+ * @param {number[]} [options.forwardStatuses] - Upstream 4xx statuses converted to the matching
+ *        error class. Defaults to 404, 409, 410, 412, 422, 423 and 429.
+ * @param {boolean} [options.parseProblem=false] - Parse upstream `application/problem+json` bodies
+ *        into the `details` of the error. Details are sent to the client.
+ * @param {number} [options.retries=0] - The number of retries after a network failure, timeout
+ *        or retryable status.
+ * @param {string[]} [options.retryMethods] - The methods that are retried. Defaults to the
+ *        idempotent GET, HEAD, OPTIONS, PUT and DELETE.
+ * @param {number[]} [options.retryStatuses] - The upstream statuses that are retried. Defaults
+ *        to 408, 429, 502, 503 and 504.
+ * @param {number} [options.retryDelay=100] - The delay in ms before the first retry. It doubles
+ *        with each retry, with random jitter, and an upstream Retry-After takes precedence.
+ * @param {number} [options.maxRetryDelay=2000] - The maximum delay in ms between retries.
+ *
+ * @returns {Promise<Response>} The successful upstream response.
+ *
+ * @example
+ *
+ * export const GET = errorHandler(async (request, { params }) => {
+ *   const { id } = await params;
+ *   const response = await safeFetch(`${USERS_API}/users/${id}`, {}, { timeout: 2000, retries: 2 });
+ *   return Response.json(await response.json());
+ * });
+ */
+async function safeFetch(input, init = {}, options = {}) {
+  const {
+    fetch: fetchImpl = fetch,
+    timeout = 0,
+    forwardStatuses = DEFAULT_FORWARD_STATUSES,
+    parseProblem = false,
+    retries = 0,
+    retryMethods = DEFAULT_RETRY_METHODS,
+    retryStatuses = DEFAULT_RETRY_STATUSES,
+    retryDelay = 100,
+    maxRetryDelay = 2000,
+  } = options;
+
+  const method = String(
+    init.method || (input && input.method) || 'GET',
+  ).toUpperCase();
+  const request = describeRequest(input, method);
+  const callerSignal = init.signal;
+  const canRetry =
+    retries > 0 &&
+    retryMethods
+      .map((retryMethod) => retryMethod.toUpperCase())
+      .includes(method) &&
+    !(init.body && typeof init.body.getReader === 'function');
+
+  const getDelay = (attempt, retryAfter) => {
+    if (typeof retryAfter === 'number') {
+      return Math.min(retryAfter * 1000, maxRetryDelay);
+    }
+    if (retryAfter instanceof Date) {
+      return Math.min(Math.max(0, retryAfter - Date.now()), maxRetryDelay);
+    }
+    const backoff = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+    return backoff / 2 + Math.random() * (backoff / 2);
+  };
+
+  for (let attempt = 0; ; attempt += 1) {
+    const isLastAttempt = !canRetry || attempt >= retries;
+
+    // Each attempt gets its own signal, aborted by the caller or by the timeout
+    const controller = new AbortController();
+    const abort = () => controller.abort(callerSignal.reason);
+    let timedOut = false;
+    let timer;
+    if (callerSignal) {
+      if (callerSignal.aborted) {
+        abort();
+      } else {
+        callerSignal.addEventListener('abort', abort, { once: true });
+      }
+    }
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(input, {
+        ...init,
+        signal: controller.signal,
+      });
+    } catch (fetchError) {
+      const aborted = controller.signal.aborted;
+      const error = aborted
+        ? new GatewayTimeoutError(undefined, {
+            cause: new Error(
+              timedOut
+                ? `${request} timed out after ${timeout} ms`
+                : `${request} was aborted`,
+              { cause: fetchError },
+            ),
+          })
+        : new BadGatewayError(undefined, {
+            cause: new Error(`${request} failed`, { cause: fetchError }),
+          });
+
+      // Retry network failures and timeouts, but never a request the caller aborted
+      const callerAborted = Boolean(callerSignal && callerSignal.aborted);
+      if (isLastAttempt || callerAborted) {
+        throw error;
+      }
+      await wait(getDelay(attempt), callerSignal);
+      continue;
+    } finally {
+      clearTimeout(timer);
+      if (callerSignal) {
+        callerSignal.removeEventListener('abort', abort);
+      }
+    }
+
+    if (response.status < 400) {
+      return response;
+    }
+
+    const { status } = response;
+    const retryAfter = parseRetryAfter(
+      response.headers.get('retry-after') || undefined,
+    );
+
+    if (
+      !isLastAttempt &&
+      retryStatuses.includes(status) &&
+      !(callerSignal && callerSignal.aborted)
+    ) {
+      await discardBody(response);
+      await wait(getDelay(attempt, retryAfter), callerSignal);
+      continue;
+    }
+
+    const details = parseProblem ? await readProblem(response) : undefined;
+    if (!parseProblem) {
+      await discardBody(response);
+    }
+    const cause = new Error(
+      `${request} responded with ${status}${response.statusText ? ` ${response.statusText}` : ''}`,
+    );
+    const props = { cause, details };
+
+    if (status < 500 && forwardStatuses.includes(status)) {
+      throw createHttpError(status, { ...props, retryAfter });
+    }
+    throw new BadGatewayError(undefined, props);
+  }
+}
+
+module.exports = {
+  DEFAULT_FORWARD_STATUSES,
+  safeFetch,
+};
@@ -0,0 +1,157 @@
+// src/serverActions.js
+
+const { CustomError } = require('./customErrors');
+const { mapError } = require('./errorMappers');
+const { toReporterList, reportError } = require('./reporters');
+const { toRedactor } = require('./redaction');
+const {
+  generateRequestId: defaultGenerateRequestId,
+} = require('./requestContext');
+const {
+  getLogLevel: defaultGetLogLevel,
+  createLogRecord,
+  writeLog,
+} = require('./logger');
+
+/**
+ * Determines whether an error is used by Next.js for control flow, such as the
+ * errors thrown by `redirect()` and `notFound()`. These must be rethrown so that
+ * Next.js can handle them.
+ *
+ * @param {*} error - The thrown value.
+ * @returns {boolean}
+ */
+function isNextControlFlowError(error) {
+  const digest = error && typeof error === 'object' ? error.digest : undefined;
+  return (
+    typeof digest === 'string' &&
+    (digest.startsWith('NEXT_') || digest === 'DYNAMIC_SERVER_USAGE')
+  );
+}
+
+/**
+ * Wraps a Next.js Server Action so that thrown errors are returned as serializable
+ * results instead of being masked by Next.js in production.
+ *
+ * The wrapped action resolves to `{ ok: true, data }` on success and to
+ * `{ ok: false, error: { type, message, code, fields, requestId } }` on failure.
+ * Only `CustomError`s (including errors converted by error mappers, such as Zod
+ * validation failures) expose their message, code and fields; unexpected errors
+ * are reported with the default message. Errors are logged through the same
+ * structured logger pipeline as `errorHandler`.
+ *
+ * @param {Function} action - The Server Action. It may receive any arguments.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {Function|Object} [options.logger=console] - The logger (see `errorHandler`).
+ * @param {Function} [options.getLogLevel] - Receives (statusCode, error) and returns the log level.
+ * @param {string} [options.defaultMessage='An internal server error occurred. Please try again later.']
+ *                                          - The message returned for unexpected errors.
+ * @param {number} [options.validationStatusCode=422] - The status code of converted Zod, Yup or Joi failures.
+ * @param {Array<{predicate: Function, toCustomError: Function}>} [options.errorMappers=[]]
+ *        - Mappers that convert third-party errors into CustomErrors.
+ * @param {Function} [options.generateRequestId] - A function returning a correlation ID for each call.
+ * @param {Function|Object|Array} [options.reporter] - Error reporters (see `errorHandler`).
+ * @param {boolean|Object|Function} [options.redact] - Redaction of logged errors and results (see `errorHandler`).
+ *
+ * @returns {Function} The wrapped Server Action.
+ *
+ * @example
+ *
+ * // app/actions.js
+ * 'use server';
+ * const { withActionErrors, ConflictError } = require('nextjs-centralized-error-handler');
+ *
+ * export const createUser = withActionErrors(async (formData) => {
+ *   const data = userSchema.parse(Object.fromEntries(formData)); // Zod errors become `fields`
+ *   if (await emailExists(data.email)) {
+ *     throw new ConflictError('Email already registered.', { code: 'USER_EMAIL_TAKEN' });
+ *   }
+ *   return saveUser(data);
+ * });
+ */
+function withActionErrors(action, options = {}) {
+  const {
+    logger = console,
+    getLogLevel = defaultGetLogLevel,
+    defaultMessage = 'An internal server error occurred. Please try again later.',
+    validationStatusCode = 422,
+    errorMappers = [],
+    generateRequestId = defaultGenerateRequestId,
+    reporter = undefined,
+    redact = undefined,
+  } = options;
+
+  const reporters = toReporterList(reporter);
+  const redactSensitive = toRedactor(redact);
+
+  return async (...args) => {
+    const startTime = Date.now();
+
+    try {
+      const data = await action(...args);
+      return { ok: true, data };
+    } catch (thrown) {
+      if (isNextControlFlowError(thrown)) {
+        throw thrown;
+      }
+
+      const error =
+        mapError(thrown, { validationStatusCode }, errorMappers) || thrown;
+      const isCustomError = error instanceof CustomError;
+      const statusCode = isCustomError ? error.statusCode : 500;
+      const requestId = String(generateRequestId());
+
+      const context = {
+        requestId,
+        action: action.name || undefined,
+        duration: Date.now() - startTime,
+      };
+
+      // Safely invoke the logger
+      let level = 'error';
+      try {
+        level = getLogLevel(statusCode, error);
+        const record = redactSensitive(
+          createLogRecord({
+            level,
+            message: 'Server Action Error:',
+            error,
+            statusCode,
+            context,
+          }),
+        );
+        writeLog(logger, record, redactSensitive(error));
+      } catch (loggerError) {
+        console.error('Logging failed:', loggerError);
+      }
+
+      reportError(
+        reporters,
+        redactSensitive(error),
+        redactSensitive({ ...context, statusCode, level }),
+      );
+
+      const result = {
+        type: (error && error.name) || 'Error',
+        message: isCustomError
+          ? error.message || defaultMessage
+          : defaultMessage,
+        requestId,
+      };
+
+      if (isCustomError && error.code !== undefined) {
+        result.code = error.code;
+      }
+      if (isCustomError && Array.isArray(error.fields)) {
+        result.fields = error.fields;
+      }
+
+      return { ok: false, error: redactSensitive(result) };
+    }
+  };
+}
+
+module.exports = {
+  withActionErrors,
+  isNextControlFlowError,
+};
@@ -0,0 +1,54 @@
+// src/streaming.js
+
+/**
+ * Returns a copy of a Response whose body reports read errors. A streaming body
+ * can fail after the status and headers were sent, when no error response can
+ * be written anymore; `onError` lets the failure be logged instead of lost. The
+ * stream is still errored, so the client sees an aborted response rather than a
+ * silently truncated one.
+ *
+ * Responses without a body are returned unchanged.
+ *
+ * @param {Response} response - The response returned by the handler.
+ * @param {Function} onError - Called with the error raised while reading the body.
+ * @returns {Response} The monitored response.
+ */
+function monitorResponseBody(response, onError) {
+  if (
+    !response ||
+    !response.body ||
+    typeof response.body.getReader !== 'function'
+  ) {
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (streamError) {
+        onError(streamError);
+        controller.error(streamError);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+module.exports = {
+  monitorResponseBody,
+};
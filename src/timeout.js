@@ -0,0 +1,126 @@
+// src/timeout.js
+
+/**
+ * Response methods that write to a Pages Router response. After a timeout these
+ * become no-ops for the handler, because the timeout response was already sent.
+ */
+const WRITE_METHODS = new Set([
+  'status',
+  'json',
+  'send',
+  'end',
+  'write',
+  'writeHead',
+  'setHeader',
+  'appendHeader',
+  'removeHeader',
+  'redirect',
+  'revalidate',
+  'setDraftMode',
+  'setPreviewData',
+  'clearPreviewData',
+  'flushHeaders',
+]);
+
+/**
+ * Starts a deadline for a handler.
+ *
+ * @param {number} timeout - The time in ms the handler may take.
+ * @param {Function} TimeoutError - The error class used when the deadline passes.
+ *
+ * @returns {{signal: AbortSignal, promise: Promise<never>, isExpired: Function, clear: Function}}
+ *          The deadline. `promise` rejects with the timeout error once it passes,
+ *          and `signal` is aborted with the same error.
+ */
+function startDeadline(timeout, TimeoutError) {
+  const controller = new AbortController();
+  let expired = false;
+  let timer;
+
+  const promise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      expired = true;
+      // Keep the deadline server-side: `cause` is logged but never serialized
+      const error = new TimeoutError(undefined, {
+        cause: new Error(`Handler timed out after ${timeout} ms`),
+      });
+      controller.abort(error);
+      reject(error);
+    }, timeout);
+  });
+
+  // The deadline may never be awaited if the handler settles first
+  promise.catch(() => {});
+
+  return {
+    signal: controller.signal,
+    promise,
+    isExpired: () => expired,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+/**
+ * Races a handler against a deadline. The handler keeps running after the deadline
+ * passes (it should stop when its `signal` aborts), so its eventual rejection is
+ * silenced to avoid unhandled rejections.
+ *
+ * @param {Function} invoke - Calls the handler and returns its result.
+ * @param {Object} deadline - The deadline from `startDeadline`.
+ * @returns {Promise<*>} The handler result.
+ */
+async function raceDeadline(invoke, deadline) {
+  try {
+    // Synchronous throws become rejections, so the timer is always cleared
+    const pending = new Promise((resolve) => resolve(invoke()));
+    pending.catch(() => {});
+
+    return await Promise.race([pending, deadline.promise]);
+  } finally {
+    deadline.clear();
+  }
+}
+
+/**
+ * Wraps a Pages Router response so that a handler which is still running after
+ * its deadline cannot write to it. Write methods become no-ops once `isClosed`
+ * returns true; everything else is forwarded to the original response.
+ *
+ * @param {Object} res - The response object.
+ * @param {Function} isClosed - Returns true once the handler may no longer write.
+ * @returns {Object} The guarded response.
+ */
+function guardResponse(res, isClosed) {
+  const guarded = new Proxy(res, {
+    get(target, property) {
+      const value = target[property];
+
+      if (typeof value !== 'function') {
+        return value;
+      }
+
+      return (...args) => {
+        if (isClosed() && WRITE_METHODS.has(property)) {
+          return guarded;
+        }
+        const result = value.apply(target, args);
+        // Keep chained calls such as res.status(200).json() on the guarded response
+        return result === target ? guarded : result;
+      };
+    },
+    set(target, property, value) {
+      if (!isClosed()) {
+        target[property] = value;
+      }
+      return true;
+    },
+  });
+
+  return guarded;
+}
+
+module.exports = {
+  startDeadline,
+  raceDeadline,
+  guardResponse,
+};
@@ -0,0 +1,141 @@
+// src/validationAdapters.js
+
+const { CustomError, ValidationError } = require('./customErrors');
+
+/**
+ * Normalizes a validation path into dot notation.
+ * Accepts arrays (Zod, Joi) and Yup-style strings such as 'items[0].name' or '["a.b"]'.
+ *
+ * @param {Array<string|number>|string} path - The raw path.
+ * @returns {string} The dot-notation path, or an empty string for the root value.
+ */
+function normalizePath(path) {
+  if (Array.isArray(path)) {
+    return path.map(String).join('.');
+  }
+  if (typeof path !== 'string') {
+    return '';
+  }
+  return path.replace(/\[["']?([^\]"']*)["']?\]/g, '.$1').replace(/^\./, '');
+}
+
+/**
+ * Determines whether an error was thrown by Zod.
+ *
+ * @param {*} error - The thrown value.
+ * @returns {boolean}
+ */
+function isZodError(error) {
+  return Boolean(
+    error && error.name === 'ZodError' && Array.isArray(error.issues),
+  );
+}
+
+/**
+ * Determines whether an error was thrown by Joi.
+ *
+ * @param {*} error - The thrown value.
+ * @returns {boolean}
+ */
+function isJoiError(error) {
+  return Boolean(error && error.isJoi === true && Array.isArray(error.details));
+}
+
+/**
+ * Determines whether an error was thrown by Yup.
+ *
+ * @param {*} error - The thrown value.
+ * @returns {boolean}
+ */
+function isYupError(error) {
+  return Boolean(
+    error &&
+      error.name === 'ValidationError' &&
+      !(error instanceof CustomError) &&
+      !isJoiError(error) &&
+      Array.isArray(error.errors) &&
+      Array.isArray(error.inner),
+  );
+}
+
+/**
+ * Converts a Zod `ZodError` into a ValidationError.
+ *
+ * @param {Error} error - The Zod error.
+ * @param {Object} [options={}] - Options passed to the ValidationError constructor.
+ * @returns {ValidationError}
+ */
+function fromZodError(error, options = {}) {
+  const fields = error.issues.map((issue) => ({
+    path: normalizePath(issue.path),
+    message: issue.message,
+    rule: issue.code,
+  }));
+  return new ValidationError(undefined, { ...options, fields, cause: error });
+}
+
+/**
+ * Converts a Yup `ValidationError` into a ValidationError.
+ * Works with both `abortEarly: false` (issues in `inner`) and the default single-issue mode.
+ *
+ * @param {Error} error - The Yup error.
+ * @param {Object} [options={}] - Options passed to the ValidationError constructor.
+ * @returns {ValidationError}
+ */
+function fromYupError(error, options = {}) {
+  const issues = error.inner.length > 0 ? error.inner : [error];
+  const fields = issues.map((issue) => ({
+    path: normalizePath(issue.path),
+    message: issue.message,
+    rule: issue.type,
+  }));
+  return new ValidationError(undefined, { ...options, fields, cause: error });
+}
+
+/**
+ * Converts a Joi `ValidationError` into a ValidationError.
+ *
+ * @param {Error} error - The Joi error.
+ * @param {Object} [options={}] - Options passed to the ValidationError constructor.
+ * @returns {ValidationError}
+ */
+function fromJoiError(error, options = {}) {
+  const fields = error.details.map((detail) => ({
+    path: normalizePath(detail.path),
+    message: detail.message,
+    rule: detail.type,
+  }));
+  return new ValidationError(undefined, { ...options, fields, cause: error });
+}
+
+/**
+ * Converts a validation failure from Zod, Yup or Joi into a ValidationError.
+ *
+ * @param {*} error - The thrown value.
+ * @param {Object} [options={}] - Options passed to the ValidationError constructor
+ *                                (e.g. `{ statusCode: 400 }`).
+ * @returns {ValidationError|null} The converted error, or null if the error is not
+ *                                 a recognized validation failure.
+ */
+function toValidationError(error, options = {}) {
+  if (isZodError(error)) {
+    return fromZodError(error, options);
+  }
+  if (isJoiError(error)) {
+    return fromJoiError(error, options);
+  }
+  if (isYupError(error)) {
+    return fromYupError(error, options);
+  }
+  return null;
+}
+
+module.exports = {
+  isZodError,
+  isYupError,
+  isJoiError,
+  fromZodError,
+  fromYupError,
+  fromJoiError,
+  toValidationError,
+};
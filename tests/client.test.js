@@ -0,0 +1,270 @@
+// tests/client.test.js
+
+const {
+  deserializeError,
+  errorFromResponse,
+  fetchJson,
+} = require('../src/client');
+const errorHandler = require('../src/errorHandler');
+const {
+  CustomError,
+  ConflictError,
+  MethodNotAllowedError,
+  NotFoundError,
+  TooManyRequestsError,
+  ValidationError,
+} = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const jsonResponse = (body, init = {}) =>
+  new Response(JSON.stringify(body), {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers },
+  });
+
+describe('deserializeError', () => {
+  test('should rebuild the error class from the default body', () => {
+    const error = deserializeError(
+      {
+        error: {
+          message: 'User not found.',
+          type: 'NotFoundError',
+          code: 'USER_NOT_FOUND',
+          details: { id: '42' },
+          requestId: 'req-1',
+        },
+      },
+      { status: 404 },
+    );
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toBeInstanceOf(CustomError);
+    expect(error).toMatchObject({
+      name: 'NotFoundError',
+      message: 'User not found.',
+      statusCode: 404,
+      code: 'USER_NOT_FOUND',
+      details: { id: '42' },
+      requestId: 'req-1',
+    });
+  });
+
+  test('should rebuild validation errors with their fields', () => {
+    const fields = [{ path: 'email', message: 'Invalid email.' }];
+    const error = deserializeError(
+      { error: { message: 'Invalid.', type: 'ValidationError', fields } },
+      { status: 400 },
+    );
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.statusCode).toBe(400);
+    expect(error.fields).toEqual(fields);
+  });
+
+  test('should rebuild Problem Details documents', () => {
+    const error = deserializeError({
+      type: 'https://example.com/problems/conflict',
+      title: 'Conflict',
+      status: 409,
+      detail: 'Email already taken.',
+      code: 'EMAIL_TAKEN',
+      instance: '/api/users',
+    });
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.message).toBe('Email already taken.');
+    expect(error.code).toBe('EMAIL_TAKEN');
+  });
+
+  test('should fall back to the status code for unknown error types', () => {
+    const error = deserializeError(
+      { error: { message: 'Duplicate key.', type: 'DuplicateKeyError' } },
+      { status: 409 },
+    );
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.name).toBe('DuplicateKeyError');
+  });
+
+  test('should use registered application error classes', () => {
+    class PaymentDeclinedError extends CustomError {
+      constructor(message = 'Payment declined.', options = {}) {
+        super(message, 402, 'PaymentDeclinedError', options);
+      }
+    }
+
+    const error = deserializeError(
+      { error: { message: 'Card declined.', type: 'PaymentDeclinedError' } },
+      { status: 402, errorClasses: { PaymentDeclinedError } },
+    );
+
+    expect(error).toBeInstanceOf(PaymentDeclinedError);
+    expect(error.message).toBe('Card declined.');
+  });
+
+  test('should fall back to CustomError for unknown statuses and bodies', () => {
+    const error = deserializeError('<html></html>', { status: 499 });
+
+    expect(error.constructor).toBe(CustomError);
+    expect(error.statusCode).toBe(499);
+  });
+
+  test('should read Server Action error results', () => {
+    const error = deserializeError({
+      ok: false,
+      error: { type: 'NotFoundError', message: 'Missing.' },
+    });
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.statusCode).toBe(404);
+  });
+
+  test('should restore Retry-After and Allow headers', () => {
+    const tooMany = deserializeError(
+      { error: { message: 'Slow down.', type: 'TooManyRequestsError' } },
+      { status: 429, headers: { 'Retry-After': '30' } },
+    );
+    const notAllowed = deserializeError(
+      { error: { message: 'No.', type: 'MethodNotAllowedError' } },
+      { status: 405, headers: new Headers({ Allow: 'GET, POST' }) },
+    );
+
+    expect(tooMany).toBeInstanceOf(TooManyRequestsError);
+    expect(tooMany.retryAfter).toBe(30);
+    expect(notAllowed).toBeInstanceOf(MethodNotAllowedError);
+    expect(notAllowed.allowedMethods).toEqual(['GET', 'POST']);
+  });
+});
+
+describe('errorFromResponse', () => {
+  test('should parse JSON error responses', async () => {
+    const error = await errorFromResponse(
+      jsonResponse(
+        { error: { message: 'Gone.', type: 'NotFoundError' } },
+        { status: 404 },
+      ),
+    );
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.message).toBe('Gone.');
+  });
+
+  test('should fall back to the status code for non-JSON bodies', async () => {
+    const error = await errorFromResponse(
+      new Response('Not Found', { status: 404 }),
+    );
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.message).toBe('The requested resource was not found.');
+  });
+
+  test('should round-trip errors rendered by errorHandler', async () => {
+    const handler = errorHandler(
+      async () => {
+        throw new ConflictError('Already exists.', { code: 'DUPLICATE' });
+      },
+      { problemDetails: { typeBaseUrl: 'https://example.com/problems' } },
+    );
+
+    const response = await handler(
+      new Request('https://example.com/api/users', {
+        headers: { Accept: 'application/problem+json' },
+      }),
+    );
+    const error = await errorFromResponse(response);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.code).toBe('DUPLICATE');
+    expect(error.requestId).toBe(response.headers.get('x-request-id'));
+  });
+});
+
+describe('fetchJson', () => {
+  test('should resolve the parsed body of successful responses', async () => {
+    const fetchMock = jest.fn(async () => jsonResponse({ id: 1 }));
+
+    await expect(
+      fetchJson('/api/users/1', {}, { fetch: fetchMock }),
+    ).resolves.toEqual({ id: 1 });
+
+    const [, init] = fetchMock.mock.calls[0];
+    expect(init.headers.get('accept')).toBe(
+      'application/json, application/problem+json',
+    );
+  });
+
+  test('should resolve undefined for empty responses', async () => {
+    const fetchMock = jest.fn(async () => new Response(null, { status: 204 }));
+
+    await expect(
+      fetchJson('/api/users/1', { method: 'DELETE' }, { fetch: fetchMock }),
+    ).resolves.toBeUndefined();
+  });
+
+  test('should keep the headers of a Request input', async () => {
+    const fetchMock = jest.fn(async () => jsonResponse({ id: 1 }));
+
+    await fetchJson(
+      new Request('https://example.com/api/users/1', {
+        headers: { authorization: 'Bearer abc' },
+      }),
+      {},
+      { fetch: fetchMock },
+    );
+
+    // fetch(input, init) lets init.headers replace the headers of the Request
+    const [input, init] = fetchMock.mock.calls[0];
+    const sent = new Request(input, init);
+    expect(sent.headers.get('authorization')).toBe('Bearer abc');
+    expect(sent.headers.get('accept')).toBe(
+      'application/json, application/problem+json',
+    );
+  });
+
+  test('should keep an explicit Accept header', async () => {
+    const fetchMock = jest.fn(async () => jsonResponse({}));
+
+    await fetchJson(
+      '/api/users',
+      { headers: { Accept: 'application/vnd.api+json' } },
+      { fetch: fetchMock },
+    );
+
+    expect(fetchMock.mock.calls[0][1].headers.get('accept')).toBe(
+      'application/vnd.api+json',
+    );
+  });
+
+  test('should throw the matching error class for failed responses', async () => {
+    const fetchMock = jest.fn(async () =>
+      jsonResponse(
+        { error: { message: 'User not found.', type: 'NotFoundError' } },
+        { status: 404 },
+      ),
+    );
+
+    await expect(
+      fetchJson('/api/users/1', {}, { fetch: fetchMock }),
+    ).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  test('should rethrow network failures unchanged', async () => {
+    const failure = new TypeError('fetch failed');
+    const fetchMock = jest.fn(async () => {
+      throw failure;
+    });
+
+    await expect(
+      fetchJson('/api/users/1', {}, { fetch: fetchMock }),
+    ).rejects.toBe(failure);
+  });
+});
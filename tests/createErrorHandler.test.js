@@ -0,0 +1,225 @@
+// tests/createErrorHandler.test.js
+
+const {
+  createErrorHandler,
+  mergeOptions,
+} = require('../src/createErrorHandler');
+const {
+  CustomError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../src/customErrors');
+const { createRateLimiter } = require('../src/rateLimit');
+const { createMetrics } = require('../src/metrics');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const createRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+  send: jest.fn(),
+  end: jest.fn(),
+  setHeader: jest.fn(),
+});
+
+class DuplicateKeyError extends Error {}
+class LockedError extends Error {}
+
+describe('mergeOptions', () => {
+  test('should let route values replace defaults', () => {
+    const formatError = jest.fn();
+    const merged = mergeOptions(
+      { defaultMessage: 'Default.', formatError: null, debug: true },
+      { defaultMessage: 'Route.', formatError, debug: undefined },
+    );
+
+    expect(merged).toEqual({
+      defaultMessage: 'Route.',
+      formatError,
+      debug: true,
+    });
+  });
+
+  test('should deep-merge plain objects', () => {
+    const json = jest.fn();
+    const csv = jest.fn();
+    const merged = mergeOptions(
+      {
+        problemDetails: { typeBaseUrl: 'https://example.com' },
+        renderers: { 'application/vnd.api+json': json },
+      },
+      { renderers: { 'text/csv': csv } },
+    );
+
+    expect(merged).toEqual({
+      problemDetails: { typeBaseUrl: 'https://example.com' },
+      renderers: { 'application/vnd.api+json': json, 'text/csv': csv },
+    });
+  });
+
+  test('should consult route error mappers before the default ones', () => {
+    const shared = { predicate: jest.fn(), toCustomError: jest.fn() };
+    const route = { predicate: jest.fn(), toCustomError: jest.fn() };
+
+    const merged = mergeOptions(
+      { errorMappers: [shared] },
+      { errorMappers: [route] },
+    );
+
+    expect(merged.errorMappers).toEqual([route, shared]);
+  });
+
+  test('should combine shared and route hooks', () => {
+    const sharedHook = jest.fn();
+    const routeHook = jest.fn();
+    const afterHook = jest.fn();
+
+    const merged = mergeOptions(
+      { onError: sharedHook, afterResponse: [afterHook] },
+      { onError: routeHook },
+    );
+
+    expect(merged.onError).toEqual([sharedHook, routeHook]);
+    expect(merged.afterResponse).toEqual([afterHook]);
+  });
+
+  test('should not mutate the defaults', () => {
+    const defaults = { renderers: { 'text/csv': jest.fn() } };
+    mergeOptions(defaults, { renderers: { 'text/tab': jest.fn() } });
+
+    expect(Object.keys(defaults.renderers)).toEqual(['text/csv']);
+  });
+
+  test('should replace logger instances instead of merging them', () => {
+    class Logger {
+      error() {}
+    }
+    const logger = new Logger();
+
+    expect(mergeOptions({ logger: console }, { logger }).logger).toBe(logger);
+  });
+
+  test('should replace rate limiters, metrics and reporters instead of merging them', () => {
+    const defaults = {
+      rateLimit: createRateLimiter({ limit: 100 }),
+      metrics: createMetrics(),
+      reporter: [jest.fn()],
+    };
+    const overrides = {
+      rateLimit: { limit: 1 },
+      metrics: createMetrics(),
+      reporter: [jest.fn()],
+    };
+
+    expect(mergeOptions(defaults, overrides)).toEqual(overrides);
+  });
+});
+
+describe('createErrorHandler', () => {
+  test('should apply the shared defaults', async () => {
+    const logger = jest.fn();
+    const withErrors = createErrorHandler({
+      logger,
+      defaultMessage: 'Something went wrong.',
+    });
+    const res = createRes();
+
+    await withErrors(async () => {
+      throw new Error('Boom');
+    })({ headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].error.message).toBe(
+      'Something went wrong.',
+    );
+    expect(logger).toHaveBeenCalled();
+  });
+
+  test('should merge per-route options over the defaults', async () => {
+    const withErrors = createErrorHandler({
+      defaultMessage: 'Something went wrong.',
+      errorMappers: [
+        {
+          predicate: (error) => error instanceof DuplicateKeyError,
+          toCustomError: () => new ConflictError('Already exists.'),
+        },
+      ],
+      logger: jest.fn(),
+    });
+    const routeOptions = {
+      errorMappers: [
+        {
+          predicate: (error) => error instanceof LockedError,
+          toCustomError: () => new CustomError('Locked.', 423, 'LockedError'),
+        },
+      ],
+    };
+
+    const duplicateRes = createRes();
+    await withErrors(async () => {
+      throw new DuplicateKeyError();
+    }, routeOptions)({ headers: {} }, duplicateRes);
+
+    const lockedRes = createRes();
+    await withErrors(async () => {
+      throw new LockedError();
+    }, routeOptions)({ headers: {} }, lockedRes);
+
+    expect(duplicateRes.status).toHaveBeenCalledWith(409);
+    expect(lockedRes.status).toHaveBeenCalledWith(423);
+  });
+
+  test('should use the route rate limit over a shared limiter', async () => {
+    const withErrors = createErrorHandler({
+      rateLimit: createRateLimiter({ limit: 100, trustProxy: 1 }),
+      logger: jest.fn(),
+    });
+    const handler = withErrors(async () => Response.json({ ok: true }), {
+      rateLimit: { limit: 1, trustProxy: 1 },
+    });
+    const request = () =>
+      new Request('https://app.example.com/api/users', {
+        headers: { 'x-real-ip': '203.0.113.7' },
+      });
+
+    const allowed = await handler(request(), { params: {} });
+    const rejected = await handler(request(), { params: {} });
+
+    expect(allowed.headers.get('RateLimit-Limit')).toBe('1');
+    expect(rejected.status).toBe(429);
+  });
+
+  test('should apply the defaults to createRoute, edge handlers and actions', async () => {
+    const logger = jest.fn();
+    const withErrors = createErrorHandler({ logger });
+
+    const res = createRes();
+    await withErrors.route({
+      GET: async () => {
+        throw new NotFoundError();
+      },
+    })({ method: 'GET', headers: {} }, res);
+
+    const response = await withErrors.edge(async () => {
+      throw new BadRequestError();
+    })(new Request('https://example.com'));
+
+    const result = await withErrors.action(async () => {
+      throw new BadRequestError('Invalid.');
+    })();
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(response.status).toBe(400);
+    expect(result.ok).toBe(false);
+    expect(logger).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,128 @@
+// tests/createRoute.test.js
+
+const createRoute = require('../src/createRoute');
+const { NotFoundError } = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const createRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+  end: jest.fn(),
+  setHeader: jest.fn(),
+});
+
+describe('createRoute', () => {
+  test('should dispatch to the handler for the request method', async () => {
+    const GET = jest.fn((req, res) => res.status(200).json({ ok: true }));
+    const POST = jest.fn();
+    const res = createRes();
+
+    await createRoute({ GET, POST })({ method: 'GET' }, res);
+
+    expect(GET).toHaveBeenCalledWith({ method: 'GET' }, res);
+    expect(POST).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ ok: true });
+  });
+
+  test('should use the GET handler for HEAD requests', async () => {
+    const GET = jest.fn();
+
+    await createRoute({ GET })({ method: 'HEAD' }, createRes());
+
+    expect(GET).toHaveBeenCalled();
+  });
+
+  test('should answer OPTIONS with the Allow header', async () => {
+    const res = createRes();
+
+    await createRoute({ get: jest.fn(), DELETE: jest.fn() })(
+      { method: 'OPTIONS' },
+      res,
+    );
+
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Allow',
+      'GET, DELETE, HEAD, OPTIONS',
+    );
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('should prefer a custom OPTIONS handler', async () => {
+    const OPTIONS = jest.fn();
+
+    await createRoute({ GET: jest.fn(), OPTIONS })(
+      { method: 'OPTIONS' },
+      createRes(),
+    );
+
+    expect(OPTIONS).toHaveBeenCalled();
+  });
+
+  test('should respond 405 with the Allow header for other methods', async () => {
+    const res = createRes();
+
+    await createRoute({ GET: jest.fn(), POST: jest.fn() })(
+      { method: 'PUT' },
+      res,
+    );
+
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Allow',
+      'GET, POST, HEAD, OPTIONS',
+    );
+    expect(res.status).toHaveBeenCalledWith(405);
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'The HTTP method used is not allowed for this resource.',
+        type: 'MethodNotAllowedError',
+        requestId: expect.any(String),
+      },
+    });
+  });
+
+  test('should pass the timeout signal to method handlers', async () => {
+    const res = createRes();
+    let signal;
+
+    await createRoute(
+      {
+        GET: (req, response, options) =>
+          new Promise((resolve) => {
+            signal = options.signal;
+            signal.addEventListener('abort', resolve);
+          }),
+      },
+      { timeout: 10, logger: jest.fn() },
+    )({ method: 'GET', headers: {} }, res);
+
+    expect(signal.aborted).toBe(true);
+    expect(res.status).toHaveBeenCalledWith(504);
+  });
+
+  test('should handle errors thrown by method handlers', async () => {
+    const res = createRes();
+    const logger = jest.fn();
+
+    await createRoute(
+      {
+        GET: async () => {
+          throw new NotFoundError('User not found.');
+        },
+      },
+      { logger },
+    )({ method: 'GET' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(logger).toHaveBeenCalled();
+  });
+});
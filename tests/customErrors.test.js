@@ -1,12 +1,26 @@
 // tests/customErrors.test.js
 
 const {
+  CustomError,
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
   NotFoundError,
   InternalServerError,
+  ConflictError,
+  ValidationError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  MethodNotAllowedError,
+  GoneError,
+  UnprocessableEntityError,
+  RangeNotSatisfiableError,
+  UpgradeRequiredError,
+  UnavailableForLegalReasonsError,
+  createHttpError,
+  isHttpError,
 } = require('../src/customErrors');
+const customErrors = require('../src/customErrors');
 
 describe('Custom Error Classes', () => {
   test('BadRequestError should have correct properties', () => {
@@ -48,3 +62,205 @@ describe('Custom Error Classes', () => {
     );
   });
 });
+
+describe('Custom Error Options', () => {
+  test('should accept code, details and cause', () => {
+    const cause = new Error('duplicate key value');
+    const error = new ConflictError('Email already registered.', {
+      code: 'USER_EMAIL_TAKEN',
+      details: { field: 'email' },
+      cause,
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(error.code).toBe('USER_EMAIL_TAKEN');
+    expect(error.details).toEqual({ field: 'email' });
+    expect(error.cause).toBe(cause);
+    expect(Object.keys(error)).not.toContain('cause');
+  });
+
+  test('should keep the default message when only options are needed', () => {
+    const error = new NotFoundError(undefined, { code: 'USER_NOT_FOUND' });
+    expect(error.message).toBe('The requested resource was not found.');
+    expect(error.code).toBe('USER_NOT_FOUND');
+  });
+
+  test('should pass options through the CustomError constructor', () => {
+    const error = new CustomError('Quota exceeded.', 403, 'QuotaError', {
+      code: 'QUOTA_EXCEEDED',
+    });
+    expect(error.name).toBe('QuotaError');
+    expect(error.code).toBe('QUOTA_EXCEEDED');
+    expect(error.details).toBeUndefined();
+    expect(error.cause).toBeUndefined();
+  });
+});
+
+describe('ValidationError', () => {
+  test('should default to 422 with no fields', () => {
+    const error = new ValidationError();
+    expect(error.name).toBe('ValidationError');
+    expect(error.statusCode).toBe(422);
+    expect(error.message).toBe('The submitted data is invalid.');
+    expect(error.fields).toEqual([]);
+  });
+
+  test('should hold field issues and allow a 400 status', () => {
+    const fields = [{ path: 'name', message: 'Name is required.' }];
+    const error = new ValidationError('Check the form.', {
+      fields,
+      statusCode: 400,
+    });
+    expect(error.statusCode).toBe(400);
+    expect(error.fields).toBe(fields);
+  });
+});
+
+describe('Error Response Headers', () => {
+  test('should return generic headers from CustomError', () => {
+    const error = new CustomError('Moved.', 409, 'MovedError', {
+      headers: { 'Content-Location': '/v2/users' },
+    });
+    expect(error.getHeaders()).toEqual({ 'Content-Location': '/v2/users' });
+    expect(new NotFoundError().getHeaders()).toEqual({});
+  });
+
+  test('should add Retry-After in seconds or as an HTTP date', () => {
+    expect(
+      new TooManyRequestsError(undefined, { retryAfter: 30.2 }).getHeaders(),
+    ).toEqual({ 'Retry-After': '31' });
+
+    const date = new Date(Date.UTC(2030, 0, 1));
+    expect(
+      new ServiceUnavailableError(undefined, { retryAfter: date }).getHeaders(),
+    ).toEqual({ 'Retry-After': 'Tue, 01 Jan 2030 00:00:00 GMT' });
+  });
+
+  test('should add WWW-Authenticate challenges', () => {
+    const error = new UnauthorizedError(undefined, {
+      authenticate: ['Bearer realm="api"', 'Basic realm="api"'],
+    });
+    expect(error.getHeaders()).toEqual({
+      'WWW-Authenticate': 'Bearer realm="api", Basic realm="api"',
+    });
+  });
+
+  test('should add the Allow header', () => {
+    const error = new MethodNotAllowedError(undefined, {
+      allowedMethods: ['get', 'POST'],
+      headers: { 'X-Extra': '1' },
+    });
+    expect(error.getHeaders()).toEqual({ 'X-Extra': '1', Allow: 'GET, POST' });
+  });
+});
+
+describe('Additional HTTP Error Classes', () => {
+  test.each([
+    ['GoneError', 410],
+    ['LengthRequiredError', 411],
+    ['PreconditionFailedError', 412],
+    ['UnsupportedMediaTypeError', 415],
+    ['RangeNotSatisfiableError', 416],
+    ['ExpectationFailedError', 417],
+    ['ImATeapotError', 418],
+    ['MisdirectedRequestError', 421],
+    ['UnprocessableEntityError', 422],
+    ['LockedError', 423],
+    ['FailedDependencyError', 424],
+    ['TooEarlyError', 425],
+    ['UpgradeRequiredError', 426],
+    ['PreconditionRequiredError', 428],
+    ['RequestHeaderFieldsTooLargeError', 431],
+    ['UnavailableForLegalReasonsError', 451],
+  ])('%s should have status %i and a default message', (name, status) => {
+    const error = new customErrors[name]();
+    expect(error).toBeInstanceOf(CustomError);
+    expect(error.name).toBe(name);
+    expect(error.statusCode).toBe(status);
+    expect(error.message).toEqual(expect.any(String));
+    expect(error.message).not.toBe('');
+  });
+
+  test('should send the headers required by their status', () => {
+    expect(
+      new RangeNotSatisfiableError(undefined, {
+        size: 1024,
+      }).getHeaders(),
+    ).toEqual({
+      'Content-Range': 'bytes */1024',
+    });
+    expect(
+      new UpgradeRequiredError(undefined, {
+        upgrade: ['TLS/1.3', 'HTTP/2.0'],
+      }).getHeaders(),
+    ).toEqual({ Upgrade: 'TLS/1.3, HTTP/2.0' });
+    expect(
+      new UnavailableForLegalReasonsError(undefined, {
+        blockedBy: 'https://example.com/legal',
+      }).getHeaders(),
+    ).toEqual({ Link: '<https://example.com/legal>; rel="blocked-by"' });
+    expect(new GoneError().getHeaders()).toEqual({});
+  });
+});
+
+describe('createHttpError', () => {
+  test('should return the class matching the status code', () => {
+    const error = createHttpError(404, 'User not found.', {
+      code: 'USER_NOT_FOUND',
+    });
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.message).toBe('User not found.');
+    expect(error.code).toBe('USER_NOT_FOUND');
+    expect(createHttpError(410)).toBeInstanceOf(GoneError);
+    expect(createHttpError('422')).toBeInstanceOf(UnprocessableEntityError);
+  });
+
+  test('should accept props without a message', () => {
+    const error = createHttpError(429, { retryAfter: 30 });
+
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.message).toBe(new TooManyRequestsError().message);
+    expect(error.getHeaders()).toEqual({ 'Retry-After': '30' });
+  });
+
+  test('should return ValidationErrors for field-level issues', () => {
+    const fields = [{ path: 'email', message: 'Required.' }];
+
+    const unprocessable = createHttpError(422, { fields });
+    const badRequest = createHttpError(400, 'Invalid.', { fields });
+
+    expect(unprocessable).toBeInstanceOf(ValidationError);
+    expect(unprocessable.statusCode).toBe(422);
+    expect(badRequest).toBeInstanceOf(ValidationError);
+    expect(badRequest.statusCode).toBe(400);
+  });
+
+  test('should name errors for statuses without a class after the reason phrase', () => {
+    const uriTooLong = createHttpError(414);
+    const unknown = createHttpError(599, 'Upstream failed.');
+
+    expect(uriTooLong.constructor).toBe(CustomError);
+    expect(uriTooLong.name).toBe('URITooLongError');
+    expect(uriTooLong.statusCode).toBe(414);
+    expect(uriTooLong.message).toBe('URI Too Long.');
+    expect(unknown.name).toBe('ServerError');
+    expect(unknown.message).toBe('Upstream failed.');
+  });
+
+  test('should reject statuses that are not errors', () => {
+    expect(() => createHttpError(200)).toThrow(TypeError);
+    expect(() => createHttpError(600)).toThrow(TypeError);
+    expect(() => createHttpError(404.5)).toThrow(TypeError);
+    expect(() => createHttpError('abc')).toThrow(TypeError);
+  });
+
+  test('isHttpError should recognize HTTP errors', () => {
+    expect(isHttpError(new NotFoundError())).toBe(true);
+    expect(isHttpError(createHttpError(503), 503)).toBe(true);
+    expect(isHttpError(new NotFoundError(), 410)).toBe(false);
+    expect(isHttpError(new CustomError('Redirect.', 302))).toBe(false);
+    expect(isHttpError(new Error('Boom'))).toBe(false);
+    expect(isHttpError({ statusCode: 404 })).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+// tests/debug.test.js
+
+const { isDebugEnabled, createDebugInfo } = require('../src/debug');
+
+describe('isDebugEnabled', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test('should default to on in development only', () => {
+    process.env.NODE_ENV = 'development';
+    expect(isDebugEnabled()).toBe(true);
+
+    process.env.NODE_ENV = 'test';
+    expect(isDebugEnabled()).toBe(false);
+  });
+
+  test('should follow the option outside production', () => {
+    process.env.NODE_ENV = 'development';
+    expect(isDebugEnabled(false)).toBe(false);
+
+    process.env.NODE_ENV = 'test';
+    expect(isDebugEnabled(true)).toBe(true);
+  });
+
+  test('should always be off in production', () => {
+    process.env.NODE_ENV = 'production';
+    expect(isDebugEnabled(true)).toBe(false);
+  });
+});
+
+describe('createDebugInfo', () => {
+  test('should include stack frames and the cause chain', () => {
+    const error = new Error('Outer.', { cause: new Error('Inner.') });
+
+    const info = createDebugInfo(error);
+
+    expect(info.name).toBe('Error');
+    expect(info.message).toBe('Outer.');
+    expect(info.stack.length).toBeGreaterThan(0);
+    expect(info.stack.every((frame) => frame.startsWith('at '))).toBe(true);
+    expect(info.cause.message).toBe('Inner.');
+    expect(Array.isArray(info.cause.stack)).toBe(true);
+  });
+
+  test('should handle non-error values', () => {
+    expect(createDebugInfo('boom')).toEqual({
+      name: 'string',
+      message: 'boom',
+      stack: [],
+    });
+    expect(createDebugInfo(undefined)).toBeUndefined();
+  });
+});
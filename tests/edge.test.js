@@ -0,0 +1,166 @@
+// tests/edge.test.js
+
+const edgeErrorHandler = require('../src/edge');
+const {
+  CustomError,
+  UnauthorizedError,
+  TooManyRequestsError,
+} = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const createRequest = (headers = {}) =>
+  new Request('https://example.com/api/users?token=secret', { headers });
+
+describe('edgeErrorHandler', () => {
+  test('should pass through the response returned by the handler', async () => {
+    // Mimics NextResponse.next(), which carries the x-middleware-next header
+    const next = new Response(null, {
+      headers: { 'x-middleware-next': '1' },
+    });
+    const wrapped = edgeErrorHandler(async () => next, {
+      generateRequestId: () => 'req-1',
+    });
+
+    const response = await wrapped(createRequest());
+
+    expect(response).toBe(next);
+    expect(response.headers.get('x-middleware-next')).toBe('1');
+    expect(response.headers.get('x-request-id')).toBe('req-1');
+  });
+
+  test('should let middleware continue when the handler returns nothing', async () => {
+    const wrapped = edgeErrorHandler(async () => undefined);
+
+    await expect(wrapped(createRequest())).resolves.toBeUndefined();
+  });
+
+  test('should forward every argument to the handler', async () => {
+    const handler = jest.fn(async () => new Response('ok'));
+    const event = { waitUntil: jest.fn() };
+    const request = createRequest();
+
+    await edgeErrorHandler(handler)(request, event);
+
+    expect(handler).toHaveBeenCalledWith(request, event);
+  });
+
+  test('should return an error Response for custom errors', async () => {
+    const wrapped = edgeErrorHandler(
+      async () => {
+        throw new UnauthorizedError('Please sign in.', {
+          authenticate: 'Bearer',
+        });
+      },
+      { generateRequestId: () => 'req-2' },
+    );
+
+    const response = await wrapped(createRequest());
+
+    expect(response).toBeInstanceOf(Response);
+    expect(response.status).toBe(401);
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect(response.headers.get('x-request-id')).toBe('req-2');
+    await expect(response.json()).resolves.toEqual({
+      error: {
+        message: 'Please sign in.',
+        type: 'UnauthorizedError',
+        requestId: 'req-2',
+      },
+    });
+  });
+
+  test('should hide details of unexpected errors', async () => {
+    const wrapped = edgeErrorHandler(async () => {
+      throw new Error('Secret upstream failure');
+    });
+
+    const response = await wrapped(createRequest());
+    const text = await response.text();
+
+    expect(response.status).toBe(500);
+    expect(text).not.toContain('Secret');
+  });
+
+  test('should negotiate the response format and honor error headers', async () => {
+    const wrapped = edgeErrorHandler(async () => {
+      throw new TooManyRequestsError(undefined, { retryAfter: 30 });
+    });
+
+    const response = await wrapped(createRequest({ Accept: 'text/plain' }));
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Content-Type')).toBe(
+      'text/plain; charset=utf-8',
+    );
+    expect(response.headers.get('Retry-After')).toBe('30');
+    expect(response.headers.get('Vary')).toBe('Accept');
+  });
+
+  test('should log errors with the request metadata', async () => {
+    const logger = jest.fn();
+    const wrapped = edgeErrorHandler(
+      async () => {
+        throw new UnauthorizedError();
+      },
+      { logger, generateRequestId: () => 'req-3' },
+    );
+
+    await wrapped(createRequest());
+
+    expect(logger).toHaveBeenCalledWith(
+      'Edge Route Error:',
+      expect.any(UnauthorizedError),
+      expect.objectContaining({
+        requestId: 'req-3',
+        method: 'GET',
+        url: 'https://example.com/api/users?token=[REDACTED]',
+        statusCode: 401,
+      }),
+    );
+  });
+
+  test('should expose route params to the logger', async () => {
+    const logger = jest.fn();
+    const wrapped = edgeErrorHandler(
+      async () => {
+        throw new UnauthorizedError();
+      },
+      { logger },
+    );
+
+    await wrapped(createRequest(), { params: Promise.resolve({ id: '7' }) });
+
+    expect(logger).toHaveBeenCalledWith(
+      'Edge Route Error:',
+      expect.any(UnauthorizedError),
+      expect.objectContaining({ params: { id: '7' } }),
+    );
+  });
+
+  test('should work without Error.captureStackTrace', async () => {
+    const { captureStackTrace } = Error;
+    delete Error.captureStackTrace;
+
+    try {
+      const error = new CustomError('No V8 helpers', 503);
+      expect(error.statusCode).toBe(503);
+
+      const response = await edgeErrorHandler(async () => {
+        throw error;
+      })(createRequest());
+      expect(response.status).toBe(503);
+    } finally {
+      Error.captureStackTrace = captureStackTrace;
+    }
+  });
+});
@@ -5,14 +5,21 @@ const {
   BadRequestError,
   NotFoundError,
   CustomError,
+  ValidationError,
+  TooManyRequestsError,
+  UnauthorizedError,
+  MethodNotAllowedError,
 } = require('../src/customErrors');
+const { jsonSyntaxErrorMapper } = require('../src/errorMappers');
 
 beforeAll(() => {
   jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
 });
 
 afterAll(() => {
   console.error.mockRestore();
+  console.warn.mockRestore();
 });
 
 describe('errorHandler - API Routes', () => {
@@ -34,6 +41,7 @@ describe('errorHandler - API Routes', () => {
       error: {
         message: 'Test bad request.',
         type: 'BadRequestError',
+        requestId: expect.any(String),
       },
     });
   });
@@ -56,6 +64,7 @@ describe('errorHandler - API Routes', () => {
       error: {
         message: 'An internal server error occurred. Please try again later.',
         type: 'Error',
+        requestId: expect.any(String),
       },
     });
   });
@@ -105,6 +114,7 @@ describe('errorHandler - API Routes', () => {
       error: {
         message: 'Resource not found.',
         type: 'NotFoundError',
+        requestId: expect.any(String),
       },
     });
   });
@@ -127,6 +137,7 @@ describe('errorHandler - API Routes', () => {
       error: {
         message: 'An internal server error occurred. Please try again later.',
         type: 'Error',
+        requestId: expect.any(String),
       },
     });
   });
@@ -152,6 +163,7 @@ describe('errorHandler - API Routes', () => {
       error: {
         message: 'An internal server error occurred. Please try again later.',
         type: 'Error',
+        requestId: expect.any(String),
       },
     });
   });
@@ -176,6 +188,7 @@ describe('errorHandler - Custom Logger', () => {
     expect(mockLogger).toHaveBeenCalledWith(
       'API Route Error:',
       expect.any(Error),
+      expect.objectContaining({ requestId: expect.any(String) }),
     );
     expect(res.status).toHaveBeenCalledWith(500);
   });
@@ -196,13 +209,18 @@ describe('errorHandler - Custom Logger', () => {
       res,
     );
 
-    expect(mockLogger).toHaveBeenCalledWith('Route Error:', expect.any(Error));
+    expect(mockLogger).toHaveBeenCalledWith(
+      'Route Error:',
+      expect.any(Error),
+      expect.objectContaining({ requestId: expect.any(String) }),
+    );
     expect(mockResponse.status).toBe(500);
     const body = await mockResponse.json();
     expect(body).toEqual({
       error: {
         message: 'An internal server error occurred. Please try again later.',
         type: 'Error',
+        requestId: expect.any(String),
       },
     });
   });
@@ -228,6 +246,7 @@ describe('errorHandler - App Router', () => {
       error: {
         message: 'Test custom error.',
         type: 'BadRequestError',
+        requestId: expect.any(String),
       },
     });
   });
@@ -251,6 +270,7 @@ describe('errorHandler - App Router', () => {
       error: {
         message: 'An internal server error occurred. Please try again later.',
         type: 'Error',
+        requestId: expect.any(String),
       },
     });
   });
@@ -339,6 +359,7 @@ describe('errorHandler - Security', () => {
       error: {
         message: 'An internal server error occurred. Please try again later.', // Should use defaultMessage
         type: 'Error',
+        requestId: expect.any(String),
       },
     });
   });
@@ -365,7 +386,1150 @@ describe('errorHandler - Invalid `formatError` Function', () => {
       error: {
         message: 'Test bad request.',
         type: 'BadRequestError',
+        requestId: expect.any(String),
+      },
+    });
+  });
+});
+
+describe('errorHandler - Problem Details', () => {
+  test('should send application/problem+json in API Routes', async () => {
+    const req = { url: '/api/users/42?token=secret' };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      setHeader: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new NotFoundError('User not found.');
+    };
+
+    await errorHandler(handler, { problemDetails: true })(req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Content-Type',
+      'application/problem+json',
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).not.toHaveBeenCalled();
+    expect(JSON.parse(res.send.mock.calls[0][0])).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User not found.',
+      instance: '/api/users/42',
+      requestId: expect.any(String),
+    });
+  });
+
+  test('should return a problem Response in App Router', async () => {
+    const req = { url: 'https://example.com/api/orders' };
+
+    const handler = async () => {
+      const error = new BadRequestError('Invalid order.');
+      error.balance = 30;
+      throw error;
+    };
+
+    const response = await errorHandler(handler, {
+      problemDetails: { typeBaseUrl: 'https://example.com/problems/' },
+    })(req, null);
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get('Content-Type')).toBe(
+      'application/problem+json',
+    );
+    expect(await response.json()).toEqual({
+      type: 'https://example.com/problems/bad-request',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Invalid order.',
+      instance: '/api/orders',
+      balance: 30,
+      requestId: expect.any(String),
+    });
+  });
+
+  test('should hide details of unexpected errors', async () => {
+    const req = { url: '/api/test' };
+
+    const handler = async () => {
+      const error = new Error('Database password is wrong.');
+      error.query = 'SELECT *';
+      throw error;
+    };
+
+    const response = await errorHandler(handler, { problemDetails: true })(
+      req,
+      null,
+    );
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({
+      type: 'about:blank',
+      title: 'Internal Server Error',
+      status: 500,
+      detail: 'An internal server error occurred. Please try again later.',
+      instance: '/api/test',
+      requestId: expect.any(String),
+    });
+  });
+});
+
+describe('errorHandler - Error Codes and Details', () => {
+  test('should serialize code and details but not cause (API Routes)', async () => {
+    const req = {};
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new BadRequestError('Email is invalid.', {
+        code: 'INVALID_EMAIL',
+        details: { field: 'email' },
+        cause: new Error('regex mismatch'),
+      });
+    };
+
+    await errorHandler(handler)(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'Email is invalid.',
+        type: 'BadRequestError',
+        requestId: expect.any(String),
+        code: 'INVALID_EMAIL',
+        details: { field: 'email' },
+      },
+    });
+  });
+
+  test('should serialize code and details (App Router)', async () => {
+    const handler = async () => {
+      throw new NotFoundError(undefined, { code: 'USER_NOT_FOUND' });
+    };
+
+    const response = await errorHandler(handler)({ url: '/api/test' }, null);
+
+    expect(await response.json()).toEqual({
+      error: {
+        message: 'The requested resource was not found.',
+        type: 'NotFoundError',
+        requestId: expect.any(String),
+        code: 'USER_NOT_FOUND',
+      },
+    });
+  });
+
+  test('should carry code and details as Problem Details extensions', async () => {
+    const handler = async () => {
+      throw new BadRequestError('Bad.', {
+        code: 'BAD',
+        details: { a: 1 },
+        cause: new Error('hidden'),
+      });
+    };
+
+    const response = await errorHandler(handler, { problemDetails: true })(
+      { url: '/api/test' },
+      null,
+    );
+    const body = await response.json();
+
+    expect(body.code).toBe('BAD');
+    expect(body.details).toEqual({ a: 1 });
+    expect(body.cause).toBeUndefined();
+  });
+});
+
+describe('errorHandler - Validation Errors', () => {
+  test('should render every invalid field (API Routes)', async () => {
+    const req = {};
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new ValidationError(undefined, {
+        fields: [
+          { path: 'name', message: 'Name is required.', rule: 'required' },
+          { path: 'email', message: 'Email is invalid.', rule: 'email' },
+        ],
+      });
+    };
+
+    await errorHandler(handler)(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'The submitted data is invalid.',
+        type: 'ValidationError',
+        requestId: expect.any(String),
+        fields: [
+          { path: 'name', message: 'Name is required.', rule: 'required' },
+          { path: 'email', message: 'Email is invalid.', rule: 'email' },
+        ],
+      },
+    });
+  });
+
+  test('should convert schema library errors automatically (App Router)', async () => {
+    const handler = async () => {
+      const zodError = new Error('Validation failed');
+      zodError.name = 'ZodError';
+      zodError.issues = [
+        { path: ['title'], message: 'Required', code: 'invalid_type' },
+      ];
+      throw zodError;
+    };
+
+    const response = await errorHandler(handler, {
+      validationStatusCode: 400,
+    })({ url: '/api/test' }, null);
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: {
+        message: 'The submitted data is invalid.',
+        type: 'ValidationError',
+        requestId: expect.any(String),
+        fields: [{ path: 'title', message: 'Required', rule: 'invalid_type' }],
+      },
+    });
+  });
+});
+
+describe('errorHandler - Error Mappers', () => {
+  test('should respond with 500 for JSON SyntaxErrors by default (App Router)', async () => {
+    const handler = async () => {
+      JSON.parse('<!DOCTYPE html>');
+    };
+
+    const response = await errorHandler(handler)({ url: '/api/test' }, null);
+
+    expect(response.status).toBe(500);
+  });
+
+  test('should respond with 400 for malformed JSON bodies with jsonSyntaxErrorMapper (App Router)', async () => {
+    const handler = async () => {
+      JSON.parse('{');
+    };
+
+    const response = await errorHandler(handler, {
+      errorMappers: [jsonSyntaxErrorMapper],
+    })({ url: '/api/test' }, null);
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: {
+        message: 'The request body is not valid JSON.',
+        type: 'BadRequestError',
+        requestId: expect.any(String),
+        code: 'MALFORMED_JSON',
+      },
+    });
+  });
+
+  test('should use per-handler errorMappers (API Routes)', async () => {
+    const req = {};
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    const handler = async () => {
+      const error = new Error('Card declined');
+      error.name = 'StripeCardError';
+      throw error;
+    };
+
+    await errorHandler(handler, {
+      errorMappers: [
+        {
+          predicate: (error) => error.name === 'StripeCardError',
+          toCustomError: () => new NotFoundError('Card not found.'),
+        },
+      ],
+    })(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'Card not found.',
+        type: 'NotFoundError',
+        requestId: expect.any(String),
+      },
+    });
+  });
+});
+
+describe('errorHandler - Request Correlation IDs', () => {
+  test('should reuse the incoming x-request-id (API Routes)', async () => {
+    const req = {
+      method: 'POST',
+      url: '/api/orders',
+      headers: { 'x-request-id': 'req-123' },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      setHeader: jest.fn(),
+    };
+    const mockLogger = jest.fn();
+
+    const handler = async () => {
+      throw new BadRequestError('Test bad request.');
+    };
+
+    await errorHandler(handler, { logger: mockLogger })(req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith('x-request-id', 'req-123');
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'Test bad request.',
+        type: 'BadRequestError',
+        requestId: 'req-123',
       },
     });
+    expect(mockLogger).toHaveBeenCalledWith(
+      'API Route Error:',
+      expect.any(BadRequestError),
+      expect.objectContaining({
+        requestId: 'req-123',
+        method: 'POST',
+        url: '/api/orders',
+        duration: expect.any(Number),
+      }),
+    );
+  });
+
+  test('should generate an ID and echo it on App Router responses', async () => {
+    const req = new Request('https://example.com/api/test');
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler, {
+      generateRequestId: () => 'generated-1',
+    })(req, null);
+
+    expect(response.headers.get('x-request-id')).toBe('generated-1');
+    const body = await response.json();
+    expect(body.error.requestId).toBe('generated-1');
+  });
+
+  test('should echo the ID on successful App Router responses', async () => {
+    const req = new Request('https://example.com/api/test', {
+      headers: { 'x-request-id': 'abc-1' },
+    });
+
+    const handler = async () => new Response('ok');
+
+    const response = await errorHandler(handler)(req, null);
+
+    expect(response.headers.get('x-request-id')).toBe('abc-1');
+  });
+
+  test('should replace unsafe incoming IDs', async () => {
+    const req = {
+      headers: { 'x-request-id': 'bad id\r\nSet-Cookie: x=1' },
+    };
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler)(req, null);
+
+    expect(response.headers.get('x-request-id')).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('should use a custom header name and pass context to formatError', async () => {
+    const req = { headers: { 'x-correlation-id': 'corr-9' } };
+    const formatError = jest.fn((error) => ({ message: error.message }));
+
+    const handler = async () => {
+      throw new NotFoundError('Gone.');
+    };
+
+    const response = await errorHandler(handler, {
+      requestIdHeader: 'x-correlation-id',
+      formatError,
+    })(req, null);
+
+    expect(response.headers.get('x-correlation-id')).toBe('corr-9');
+    expect(formatError).toHaveBeenCalledWith(
+      expect.any(NotFoundError),
+      req,
+      expect.objectContaining({ requestId: 'corr-9' }),
+    );
+  });
+});
+
+describe('errorHandler - Structured Logging', () => {
+  const createRes = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+  });
+
+  const createLogger = () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  });
+
+  test('should log client errors at warn level', async () => {
+    const logger = createLogger();
+    const req = { method: 'GET', url: '/api/users/1' };
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    await errorHandler(handler, { logger })(req, createRes());
+
+    expect(logger.error).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith('API Route Error:', {
+      level: 'warn',
+      message: 'API Route Error:',
+      requestId: expect.any(String),
+      method: 'GET',
+      url: '/api/users/1',
+      duration: expect.any(Number),
+      statusCode: 404,
+      error: expect.objectContaining({
+        name: 'NotFoundError',
+        message: 'The requested resource was not found.',
+        statusCode: 404,
+        stack: expect.any(String),
+      }),
+    });
+  });
+
+  test('should log server errors at error level with the cause chain', async () => {
+    const logger = createLogger();
+
+    const handler = async () => {
+      throw new Error('Query failed.', {
+        cause: new Error('Connection refused.'),
+      });
+    };
+
+    await errorHandler(handler, { logger })({ url: '/api/test' }, null);
+
+    expect(logger.warn).not.toHaveBeenCalled();
+    const record = logger.error.mock.calls[0][1];
+    expect(record.level).toBe('error');
+    expect(record.statusCode).toBe(500);
+    expect(record.error.message).toBe('Query failed.');
+    expect(record.error.cause.message).toBe('Connection refused.');
+  });
+
+  test('should allow a custom getLogLevel', async () => {
+    const logger = createLogger();
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    await errorHandler(handler, {
+      logger,
+      getLogLevel: (statusCode) => (statusCode === 404 ? 'info' : 'error'),
+    })({}, createRes());
+
+    expect(logger.info).toHaveBeenCalledWith(
+      'API Route Error:',
+      expect.objectContaining({ level: 'info' }),
+    );
+  });
+
+  test('should still respond if the logger throws', async () => {
+    const res = createRes();
+    const logger = {
+      warn: () => {
+        throw new Error('Logger down.');
+      },
+    };
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    await errorHandler(handler, { logger })({}, res);
+
+    expect(console.error).toHaveBeenCalledWith(
+      'Logging failed:',
+      expect.any(Error),
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('errorHandler - Debug Mode', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test('should expose the original error in development (API Routes)', async () => {
+    process.env.NODE_ENV = 'development';
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new Error('Connection refused.', {
+        cause: new Error('ECONNREFUSED'),
+      });
+    };
+
+    await errorHandler(handler)({}, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.error.message).toBe(
+      'An internal server error occurred. Please try again later.',
+    );
+    expect(body.error.debug).toMatchObject({
+      name: 'Error',
+      message: 'Connection refused.',
+      stack: expect.any(Array),
+      cause: { message: 'ECONNREFUSED' },
+    });
+  });
+
+  test('should support the exposeStack alias (App Router)', async () => {
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler, { exposeStack: true })(
+      { url: '/api/test' },
+      null,
+    );
+    const body = await response.json();
+
+    expect(body.error.debug.name).toBe('NotFoundError');
+  });
+
+  test('should never expose debug details in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const handler = async () => {
+      throw new Error('Secret.');
+    };
+
+    const response = await errorHandler(handler, { debug: true })(
+      { url: '/api/test', headers: { accept: 'text/html' } },
+      null,
+    );
+
+    expect(response.headers.get('Content-Type')).toBe(
+      'text/html; charset=utf-8',
+    );
+    const html = await response.text();
+    expect(html).toContain(
+      'An internal server error occurred. Please try again later.',
+    );
+    expect(html).not.toContain('Secret.');
+  });
+
+  test('should render an HTML page for browsers (App Router)', async () => {
+    const req = new Request('https://example.com/api/test', {
+      headers: { accept: 'text/html,application/xhtml+xml' },
+    });
+
+    const handler = async () => {
+      throw new Error('Template failed.');
+    };
+
+    const response = await errorHandler(handler, { debug: true })(req, null);
+
+    expect(response.status).toBe(500);
+    expect(response.headers.get('Content-Type')).toBe(
+      'text/html; charset=utf-8',
+    );
+    const html = await response.text();
+    expect(html).toContain('Template failed.');
+  });
+
+  test('should send the HTML page with res.send (API Routes)', async () => {
+    const req = { headers: { accept: 'text/html' } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      setHeader: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new BadRequestError('Bad input.');
+    };
+
+    await errorHandler(handler, { debug: true })(req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Content-Type',
+      'text/html; charset=utf-8',
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send.mock.calls[0][0]).toContain('Bad input.');
+    expect(res.json).not.toHaveBeenCalled();
+  });
+});
+
+describe('errorHandler - Content Negotiation', () => {
+  test('should keep sending the formatError body to browsers', async () => {
+    const req = new Request('https://example.com/api/test', {
+      headers: { accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+    });
+    const formatError = (error) => ({ failure: error.message });
+
+    const response = await errorHandler(
+      async () => {
+        throw new NotFoundError('User not found.');
+      },
+      { formatError },
+    )(req, null);
+
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+    expect(response.headers.get('Vary')).toBeNull();
+    expect(await response.json()).toEqual({ failure: 'User not found.' });
+  });
+
+  test('should negotiate with formatError when contentNegotiation is enabled', async () => {
+    const req = new Request('https://example.com/api/test', {
+      headers: { accept: 'text/plain' },
+    });
+
+    const response = await errorHandler(
+      async () => {
+        throw new NotFoundError('User not found.');
+      },
+      {
+        formatError: (error) => ({ failure: error.message }),
+        contentNegotiation: true,
+      },
+    )(req, null);
+
+    expect(response.headers.get('Content-Type')).toBe(
+      'text/plain; charset=utf-8',
+    );
+    expect(response.headers.get('Vary')).toBe('Accept');
+  });
+
+  test('should render plain text when requested (API Routes)', async () => {
+    const req = { headers: { accept: 'text/plain' } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      setHeader: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new NotFoundError('User not found.');
+    };
+
+    await errorHandler(handler, { generateRequestId: () => 'r1' })(req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Content-Type',
+      'text/plain; charset=utf-8',
+    );
+    expect(res.setHeader).toHaveBeenCalledWith('Vary', 'Accept');
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith(
+      '404 Not Found: User not found.\nRequest ID: r1',
+    );
+  });
+
+  test('should render XML when requested (App Router)', async () => {
+    const req = new Request('https://example.com/api/test', {
+      headers: { accept: 'application/xml' },
+    });
+
+    const handler = async () => {
+      throw new BadRequestError('Bad.');
+    };
+
+    const response = await errorHandler(handler)(req, null);
+
+    expect(response.status).toBe(400);
+    expect(response.headers.get('Content-Type')).toBe(
+      'application/xml; charset=utf-8',
+    );
+    expect(response.headers.get('Vary')).toBe('Accept');
+    expect(await response.text()).toContain('<message>Bad.</message>');
+  });
+
+  test('should render Problem JSON when requested', async () => {
+    const req = { headers: { accept: 'application/problem+json' } };
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler)(req, null);
+
+    expect(response.headers.get('Content-Type')).toBe(
+      'application/problem+json',
+    );
+    expect((await response.json()).title).toBe('Not Found');
+  });
+
+  test('should use per-handler renderers', async () => {
+    const req = { headers: { accept: 'application/vnd.api+json' } };
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler, {
+      renderers: {
+        'application/vnd.api+json': ({ statusCode, message }) =>
+          JSON.stringify({
+            errors: [{ status: String(statusCode), detail: message }],
+          }),
+      },
+    })(req, null);
+
+    expect(response.headers.get('Content-Type')).toBe(
+      'application/vnd.api+json',
+    );
+    expect(await response.json()).toEqual({
+      errors: [
+        { status: '404', detail: 'The requested resource was not found.' },
+      ],
+    });
+  });
+
+  test('should respond 406 when no format is acceptable', async () => {
+    const req = { headers: { accept: 'image/png' } };
+
+    const handler = async () => {
+      throw new BadRequestError('Bad.');
+    };
+
+    const response = await errorHandler(handler)(req, null);
+
+    expect(response.status).toBe(406);
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+    expect((await response.json()).error.type).toBe('NotAcceptableError');
+  });
+
+  test('should fall back to JSON if a renderer throws', async () => {
+    const req = { headers: { accept: 'text/csv' } };
+
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler, {
+      renderers: {
+        'text/csv': () => {
+          throw new Error('Renderer broken.');
+        },
+      },
+    })(req, null);
+
+    expect(response.status).toBe(404);
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+    expect((await response.json()).error.type).toBe('NotFoundError');
+  });
+});
+
+describe('errorHandler - Error Response Headers', () => {
+  test('should set Retry-After on API Routes', async () => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      setHeader: jest.fn(),
+    };
+
+    const handler = async () => {
+      throw new TooManyRequestsError(undefined, { retryAfter: 60 });
+    };
+
+    await errorHandler(handler)({}, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '60');
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('should set WWW-Authenticate and Allow on App Router responses', async () => {
+    const unauthorized = await errorHandler(async () => {
+      throw new UnauthorizedError(undefined, {
+        authenticate: 'Bearer realm="api"',
+      });
+    })({}, null);
+
+    expect(unauthorized.headers.get('WWW-Authenticate')).toBe(
+      'Bearer realm="api"',
+    );
+
+    const notAllowed = await errorHandler(async () => {
+      throw new MethodNotAllowedError(undefined, {
+        allowedMethods: ['GET', 'HEAD'],
+      });
+    })({}, null);
+
+    expect(notAllowed.headers.get('Allow')).toBe('GET, HEAD');
+  });
+
+  test('should set generic headers without leaking them into the body', async () => {
+    const response = await errorHandler(
+      async () => {
+        throw new NotFoundError(undefined, {
+          headers: { 'Cache-Control': 'no-store' },
+        });
+      },
+      { problemDetails: true },
+    )({}, null);
+
+    expect(response.headers.get('Cache-Control')).toBe('no-store');
+    expect(response.headers.get('Content-Type')).toBe(
+      'application/problem+json',
+    );
+    expect((await response.json()).headers).toBeUndefined();
+  });
+});
+
+describe('errorHandler - App Router Route Context', () => {
+  test('should forward the route context to the handler', async () => {
+    const req = new Request('https://example.com/api/users/42');
+    const routeContext = { params: { id: '42' } };
+    const handler = jest.fn(async (request, { params }) =>
+      Response.json({ id: params.id }),
+    );
+
+    const response = await errorHandler(handler)(req, routeContext);
+
+    expect(handler).toHaveBeenCalledWith(req, routeContext);
+    await expect(response.json()).resolves.toEqual({ id: '42' });
+  });
+
+  test('should not treat the route context as a Pages response', async () => {
+    const req = new Request('https://example.com/api/users/42');
+    const handler = async () => {
+      throw new NotFoundError('User not found.');
+    };
+
+    const response = await errorHandler(handler)(req, {
+      params: { id: '42' },
+    });
+
+    expect(response).toBeInstanceOf(Response);
+    expect(response.status).toBe(404);
+  });
+
+  test('should expose params to formatError and the logger', async () => {
+    const req = new Request('https://example.com/api/users/42');
+    const logger = jest.fn();
+    const formatError = jest.fn((error, request, context) => ({
+      message: error.message,
+      params: context.params,
+    }));
+    const handler = async () => {
+      throw new NotFoundError('User not found.');
+    };
+
+    // Next.js 15 passes params as a Promise
+    const response = await errorHandler(handler, { logger, formatError })(req, {
+      params: Promise.resolve({ id: '42' }),
+    });
+
+    await expect(response.json()).resolves.toEqual({
+      message: 'User not found.',
+      params: { id: '42' },
+    });
+    expect(logger).toHaveBeenCalledWith(
+      'Route Error:',
+      expect.any(NotFoundError),
+      expect.objectContaining({ params: { id: '42' } }),
+    );
+  });
+
+  test('should still respond when the params Promise rejects', async () => {
+    const req = new Request('https://example.com/api/users/42');
+    const formatError = jest.fn((error, request, context) => context);
+    const params = Promise.reject(new Error('Invalid params'));
+    params.catch(() => {});
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler, { formatError })(req, {
+      params,
+    });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).params).toBeUndefined();
+  });
+
+  test('should not add params for API Routes', async () => {
+    const req = { method: 'GET', url: '/api/users/42', query: { id: '42' } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      setHeader: jest.fn(),
+    };
+    const formatError = jest.fn((error, request, context) => context);
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    await errorHandler(handler, { formatError })(req, res);
+
+    expect(formatError.mock.calls[0][2].params).toBeUndefined();
+  });
+});
+
+describe('errorHandler - Lifecycle Hooks', () => {
+  const createRes = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    send: jest.fn(),
+    setHeader: jest.fn(),
+  });
+
+  class PaymentDeclined extends Error {}
+
+  test('should let onError replace the error before logging', async () => {
+    const logger = jest.fn();
+    const onError = jest.fn((error) =>
+      error instanceof PaymentDeclined
+        ? new BadRequestError('Payment declined.', { code: 'PAYMENT_DECLINED' })
+        : undefined,
+    );
+    const handler = async () => {
+      throw new PaymentDeclined('Card 4242 declined');
+    };
+    const req = { method: 'POST', url: '/api/pay', headers: {} };
+    const res = createRes();
+
+    await errorHandler(handler, { onError, logger })(req, res);
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.any(PaymentDeclined),
+      expect.objectContaining({ req, requestId: expect.any(String) }),
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toMatchObject({
+      message: 'Payment declined.',
+      code: 'PAYMENT_DECLINED',
+    });
+    expect(logger).toHaveBeenCalledWith(
+      'API Route Error:',
+      expect.any(BadRequestError),
+      expect.any(Object),
+    );
+  });
+
+  test('should let beforeResponse edit the status, headers and body', async () => {
+    const beforeResponse = [
+      (response) => {
+        response.status = 503;
+        response.headers['Cache-Control'] = 'no-store';
+      },
+      (response, ctx) => ({
+        ...response,
+        body: { failed: true, type: ctx.error.name },
+      }),
+    ];
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+    const res = createRes();
+
+    await errorHandler(handler, { beforeResponse })({ headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.json).toHaveBeenCalledWith({
+      failed: true,
+      type: 'NotFoundError',
+    });
+  });
+
+  test('should apply beforeResponse changes to App Router responses', async () => {
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+    const beforeResponse = (response) => {
+      response.headers['Content-Type'] = 'text/plain';
+      response.body = 'Not here';
+    };
+
+    const response = await errorHandler(handler, { beforeResponse })(
+      new Request('https://example.com'),
+    );
+
+    expect(response.status).toBe(404);
+    expect(response.headers.get('Content-Type')).toBe('text/plain');
+    expect(response.headers.get('Vary')).toBe('Accept');
+    await expect(response.text()).resolves.toBe('Not here');
+  });
+
+  test('should call afterResponse with the outcome', async () => {
+    const afterResponse = jest.fn();
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    const response = await errorHandler(handler, { afterResponse })(
+      new Request('https://example.com/items'),
+      { params: { id: '1' } },
+    );
+
+    expect(afterResponse).toHaveBeenCalledWith(
+      expect.objectContaining({
+        statusCode: 404,
+        error: expect.any(NotFoundError),
+        params: { id: '1' },
+        response,
+        duration: expect.any(Number),
+      }),
+      undefined,
+    );
+  });
+
+  test('should fall back safely when hooks throw', async () => {
+    const failing = () => {
+      throw new Error('Hook broke');
+    };
+    const handler = async () => {
+      throw new NotFoundError('Missing.');
+    };
+    const res = createRes();
+
+    await errorHandler(handler, {
+      onError: failing,
+      beforeResponse: failing,
+      afterResponse: failing,
+    })({ headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json.mock.calls[0][0].error.message).toBe('Missing.');
+    expect(console.error).toHaveBeenCalledWith(
+      'onError hook failed:',
+      expect.any(Error),
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      'beforeResponse hook failed:',
+      expect.any(Error),
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      'afterResponse hook failed:',
+      expect.any(Error),
+    );
+  });
+});
+
+describe('errorHandler - Errors After the Response', () => {
+  const createLogger = () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    fatal: jest.fn(),
+  });
+
+  test('should not write a second response when headers were already sent', async () => {
+    const logger = createLogger();
+    const res = {
+      headersSent: false,
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(() => {
+        res.headersSent = true;
+      }),
+      setHeader: jest.fn(),
+    };
+    const handler = async (req, response) => {
+      response.status(200).json({ ok: true });
+      throw new Error('Failed after responding');
+    };
+
+    await errorHandler(handler, { logger })({ headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledTimes(1);
+    expect(res.json).toHaveBeenCalledTimes(1);
+    expect(logger.fatal).toHaveBeenCalledWith(
+      'API Route Error (after the response was sent):',
+      expect.objectContaining({
+        level: 'fatal',
+        responseSent: true,
+        statusCode: 500,
+        error: expect.objectContaining({ message: 'Failed after responding' }),
+      }),
+    );
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  test('should detect ended responses and honor postResponseLogLevel', async () => {
+    const logger = createLogger();
+    const res = {
+      writableEnded: true,
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      setHeader: jest.fn(),
+    };
+    const handler = async () => {
+      throw new NotFoundError();
+    };
+
+    await errorHandler(handler, { logger, postResponseLogLevel: 'error' })(
+      { headers: {} },
+      res,
+    );
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith(
+      'API Route Error (after the response was sent):',
+      expect.objectContaining({ level: 'error', statusCode: 404 }),
+    );
+  });
+
+  test('should log errors raised while streaming an App Router response', async () => {
+    const logger = createLogger();
+    const failure = new Error('Stream broke');
+    const handler = async () =>
+      new Response(
+        new ReadableStream({
+          pull() {
+            throw failure;
+          },
+        }),
+        { status: 200 },
+      );
+
+    const response = await errorHandler(handler, {
+      logger,
+      generateRequestId: () => 'req-stream',
+    })(new Request('https://example.com/api/stream'));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-request-id')).toBe('req-stream');
+    await expect(response.text()).rejects.toBe(failure);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(logger.fatal).toHaveBeenCalledWith(
+      'Route Error (while streaming the response):',
+      expect.objectContaining({
+        requestId: 'req-stream',
+        responseSent: true,
+        error: expect.objectContaining({ message: 'Stream broke' }),
+      }),
+    );
   });
 });
@@ -0,0 +1,242 @@
+// tests/errorMappers.test.js
+
+const {
+  jsonSyntaxErrorMapper,
+  registerErrorMapper,
+  clearErrorMappers,
+  mapError,
+} = require('../src/errorMappers');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  PaymentRequiredError,
+  RequestTimeoutError,
+  ValidationError,
+} = require('../src/customErrors');
+
+const createError = (name, props = {}, message = 'Library error') => {
+  const error = new Error(message);
+  error.name = name;
+  Object.assign(error, props);
+  return error;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+});
+
+afterEach(() => {
+  clearErrorMappers();
+});
+
+describe('mapError - Built-in Mappers', () => {
+  test('should map body parser JSON errors to BadRequestError', () => {
+    const parseError = createError('SyntaxError', {
+      type: 'entity.parse.failed',
+    });
+
+    const mapped = mapError(parseError);
+
+    expect(mapped).toBeInstanceOf(BadRequestError);
+    expect(mapped.code).toBe('MALFORMED_JSON');
+    expect(mapped.cause).toBe(parseError);
+  });
+
+  test('should not map JSON SyntaxErrors by default', () => {
+    let syntaxError;
+    try {
+      JSON.parse('<!DOCTYPE html>');
+    } catch (error) {
+      syntaxError = error;
+    }
+
+    expect(mapError(syntaxError)).toBeNull();
+  });
+
+  test('should map JSON SyntaxErrors with the opt-in jsonSyntaxErrorMapper', () => {
+    let syntaxError;
+    try {
+      JSON.parse('{"name":');
+    } catch (error) {
+      syntaxError = error;
+    }
+
+    const mapped = mapError(syntaxError, {}, [jsonSyntaxErrorMapper]);
+
+    expect(mapped).toBeInstanceOf(BadRequestError);
+    expect(mapped.code).toBe('MALFORMED_JSON');
+    expect(
+      mapError(new SyntaxError('Unexpected identifier'), {}, [
+        jsonSyntaxErrorMapper,
+      ]),
+    ).toBeNull();
+  });
+
+  test('should map AbortErrors of aborted requests to RequestTimeoutError', () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const fromSignal = mapError(createError('AbortError'), {
+      req: { signal: controller.signal },
+    });
+    const fromNodeRequest = mapError(createError('AbortError'), {
+      req: { aborted: true },
+    });
+
+    expect(fromSignal).toBeInstanceOf(RequestTimeoutError);
+    expect(fromSignal.code).toBe('REQUEST_ABORTED');
+    expect(fromNodeRequest).toBeInstanceOf(RequestTimeoutError);
+  });
+
+  test('should not map AbortErrors while the request is still open', () => {
+    expect(
+      mapError(createError('AbortError'), {
+        req: { signal: new AbortController().signal },
+      }),
+    ).toBeNull();
+    expect(mapError(createError('AbortError'))).toBeNull();
+  });
+
+  test('should map Prisma P2025 and P2002 errors', () => {
+    expect(
+      mapError(createError('PrismaClientKnownRequestError', { code: 'P2025' })),
+    ).toBeInstanceOf(NotFoundError);
+    expect(
+      mapError(createError('PrismaClientKnownRequestError', { code: 'P2002' })),
+    ).toBeInstanceOf(ConflictError);
+    expect(
+      mapError(createError('PrismaClientKnownRequestError', { code: 'P1001' })),
+    ).toBeNull();
+  });
+
+  test('should map Mongoose and MongoDB errors', () => {
+    const castError = mapError(createError('CastError', { path: '_id' }));
+    expect(castError).toBeInstanceOf(BadRequestError);
+    expect(castError.message).toBe("Invalid value for '_id'.");
+
+    expect(
+      mapError(createError('MongoServerError', { code: 11000 })),
+    ).toBeInstanceOf(ConflictError);
+
+    const validation = mapError(
+      createError('ValidationError', {
+        errors: {
+          email: {
+            path: 'email',
+            message: 'Email is required.',
+            kind: 'required',
+          },
+        },
+      }),
+      { validationStatusCode: 400 },
+    );
+    expect(validation).toBeInstanceOf(ValidationError);
+    expect(validation.statusCode).toBe(400);
+    expect(validation.fields).toEqual([
+      { path: 'email', message: 'Email is required.', rule: 'required' },
+    ]);
+  });
+
+  test('should map Sequelize errors', () => {
+    expect(
+      mapError(createError('SequelizeUniqueConstraintError')),
+    ).toBeInstanceOf(ConflictError);
+
+    const validation = mapError(
+      createError('SequelizeValidationError', {
+        errors: [
+          { path: 'age', message: 'age must be positive', validatorKey: 'min' },
+        ],
+      }),
+    );
+    expect(validation.statusCode).toBe(422);
+    expect(validation.fields).toEqual([
+      { path: 'age', message: 'age must be positive', rule: 'min' },
+    ]);
+  });
+
+  test('should leave CustomErrors and unknown errors untouched', () => {
+    expect(mapError(new NotFoundError())).toBeNull();
+    expect(mapError(new Error('Unknown'))).toBeNull();
+    expect(mapError(null)).toBeNull();
+  });
+});
+
+describe('mapError - Registry', () => {
+  test('should consult registered mappers before built-in mappers', () => {
+    registerErrorMapper(
+      (error) => error.name === 'AbortError',
+      () => new BadRequestError('Cancelled.'),
+    );
+
+    expect(mapError(createError('AbortError'))).toBeInstanceOf(BadRequestError);
+  });
+
+  test('should consult per-handler mappers before registered mappers', () => {
+    registerErrorMapper(
+      (error) => error.name === 'StripeCardError',
+      () => new BadRequestError(),
+    );
+
+    const mapped = mapError(createError('StripeCardError'), {}, [
+      {
+        predicate: (error) => error.name === 'StripeCardError',
+        toCustomError: (error) => new PaymentRequiredError(error.message),
+      },
+    ]);
+
+    expect(mapped).toBeInstanceOf(PaymentRequiredError);
+  });
+
+  test('should pass the context to mappers', () => {
+    const predicate = jest.fn(() => true);
+    const toCustomError = jest.fn(() => new BadRequestError());
+    const req = { url: '/api/test' };
+
+    registerErrorMapper(predicate, toCustomError);
+    mapError(new Error('x'), { req });
+
+    expect(toCustomError).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ req, validationStatusCode: 422 }),
+    );
+  });
+
+  test('should unregister a mapper', () => {
+    const unregister = registerErrorMapper(
+      () => true,
+      () => new BadRequestError(),
+    );
+    unregister();
+
+    expect(mapError(new Error('x'))).toBeNull();
+  });
+
+  test('should skip mappers that throw or return non-CustomErrors', () => {
+    registerErrorMapper(
+      () => {
+        throw new Error('Broken predicate');
+      },
+      () => new BadRequestError(),
+    );
+    registerErrorMapper(
+      () => true,
+      () => new Error('Not a CustomError'),
+    );
+
+    expect(mapError(new Error('x'))).toBeNull();
+    expect(console.error).toHaveBeenCalledWith(
+      'Error mapper failed:',
+      expect.any(Error),
+    );
+  });
+
+  test('should reject invalid arguments', () => {
+    expect(() => registerErrorMapper('nope')).toThrow(TypeError);
+  });
+});
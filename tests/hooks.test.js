@@ -0,0 +1,65 @@
+// tests/hooks.test.js
+
+const { toHookList, runHooks } = require('../src/hooks');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+});
+
+describe('toHookList', () => {
+  test('should normalize hook options into lists of functions', () => {
+    const hook = jest.fn();
+
+    expect(toHookList(undefined)).toEqual([]);
+    expect(toHookList(hook)).toEqual([hook]);
+    expect(toHookList([hook, null, 'x'])).toEqual([hook]);
+  });
+});
+
+describe('runHooks', () => {
+  test('should run hooks in order, passing returned values along', async () => {
+    const calls = [];
+    const value = await runHooks(
+      'onError',
+      [
+        (current) => {
+          calls.push(current);
+          return current + 1;
+        },
+        async (current) => {
+          calls.push(current);
+        },
+        (current, context) => current * context.factor,
+      ],
+      1,
+      { factor: 10 },
+    );
+
+    expect(calls).toEqual([1, 2]);
+    expect(value).toBe(20);
+  });
+
+  test('should skip failing hooks and keep the previous value', async () => {
+    const failure = new Error('Hook broke');
+    const value = await runHooks(
+      'beforeResponse',
+      [
+        () => {
+          throw failure;
+        },
+        (current) => `${current}!`,
+      ],
+      'ok',
+    );
+
+    expect(value).toBe('ok!');
+    expect(console.error).toHaveBeenCalledWith(
+      'beforeResponse hook failed:',
+      failure,
+    );
+  });
+});
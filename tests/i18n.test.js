@@ -0,0 +1,288 @@
+// tests/i18n.test.js
+
+const {
+  registerMessages,
+  clearMessages,
+  formatMessage,
+  translate,
+  getAvailableLocales,
+  negotiateLocale,
+} = require('../src/i18n');
+const en = require('../src/locales/en');
+const errorHandler = require('../src/errorHandler');
+const {
+  CustomError,
+  NotFoundError,
+  BadRequestError,
+  InternalServerError,
+} = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+afterEach(() => {
+  clearMessages();
+});
+
+const de = {
+  'errors.notFound': 'Die angeforderte Ressource wurde nicht gefunden.',
+  'errors.internalServer': 'Ein interner Serverfehler ist aufgetreten.',
+  'user.notFound': 'Benutzer {id} wurde nicht gefunden.',
+};
+
+describe('formatMessage', () => {
+  test('should replace placeholders with parameters', () => {
+    expect(formatMessage('User {id} of {team}.', { id: 42, team: 'a' })).toBe(
+      'User 42 of a.',
+    );
+  });
+
+  test('should leave placeholders without a parameter', () => {
+    expect(formatMessage('User {id}.', {})).toBe('User {id}.');
+    expect(formatMessage('User {id}.')).toBe('User {id}.');
+  });
+});
+
+describe('translate', () => {
+  test('should use the built-in English catalog', () => {
+    expect(translate('errors.notFound')).toBe(en['errors.notFound']);
+    expect(translate('errors.notFound', 'fr')).toBeUndefined();
+  });
+
+  test('should use registered catalogs and fall back to the language', () => {
+    registerMessages('de', de);
+
+    expect(translate('user.notFound', 'de', { id: 7 })).toBe(
+      'Benutzer 7 wurde nicht gefunden.',
+    );
+    expect(translate('errors.notFound', 'de-AT')).toBe(de['errors.notFound']);
+  });
+
+  test('should prefer per-handler messages and later catalogs', () => {
+    registerMessages('de', de);
+    const remove = registerMessages('de', { 'errors.notFound': 'Weg.' });
+
+    expect(translate('errors.notFound', 'de')).toBe('Weg.');
+    expect(
+      translate('errors.notFound', 'de', undefined, {
+        DE: { 'errors.notFound': 'Nicht da.' },
+      }),
+    ).toBe('Nicht da.');
+
+    remove();
+    expect(translate('errors.notFound', 'de')).toBe(de['errors.notFound']);
+  });
+
+  test('should reject invalid catalogs', () => {
+    expect(() => registerMessages('de')).toThrow(TypeError);
+  });
+});
+
+describe('negotiateLocale', () => {
+  const locales = ['en', 'de', 'pt-BR'];
+
+  test('should pick the best match by quality', () => {
+    expect(negotiateLocale('fr;q=0.9, de;q=0.8, en;q=0.5', locales)).toBe('de');
+  });
+
+  test('should match by language or as a prefix', () => {
+    expect(negotiateLocale('de-CH', locales)).toBe('de');
+    expect(negotiateLocale('pt', locales)).toBe('pt-BR');
+  });
+
+  test('should fall back to the default locale', () => {
+    expect(negotiateLocale(undefined, locales)).toBe('en');
+    expect(negotiateLocale('fr, de;q=0', locales, 'de')).toBe('de');
+    expect(negotiateLocale('*', locales, 'de')).toBe('de');
+  });
+
+  test('should list the available locales once', () => {
+    registerMessages('de', de);
+    registerMessages('de', {});
+
+    expect(getAvailableLocales({ fr: {} })).toEqual(['en', 'fr', 'de']);
+  });
+});
+
+describe('CustomError message keys', () => {
+  test('should keep the English default messages', () => {
+    expect(new NotFoundError().message).toBe(
+      'The requested resource was not found.',
+    );
+    expect(new CustomError().message).toBe('An error occurred.');
+    expect(new NotFoundError().messageKey).toBe('errors.notFound');
+  });
+
+  test('should not assign a message key to explicit messages', () => {
+    expect(new NotFoundError('User 1 is gone.').messageKey).toBeUndefined();
+  });
+
+  test('should build messages from keys and parameters in English', () => {
+    registerMessages('de', de);
+    registerMessages('en', { 'user.notFound': 'User {id} was not found.' });
+
+    const error = new NotFoundError(undefined, {
+      messageKey: 'user.notFound',
+      params: { id: 7 },
+    });
+
+    expect(error.message).toBe('User 7 was not found.');
+    expect(error.params).toEqual({ id: 7 });
+    expect(Object.keys(error)).not.toContain('messageKey');
+    expect(Object.keys(error)).not.toContain('params');
+  });
+
+  test('should fall back to the class message for unknown keys', () => {
+    expect(
+      new BadRequestError(undefined, { messageKey: 'missing' }).message,
+    ).toBe(en['errors.badRequest']);
+  });
+});
+
+describe('errorHandler - Localized Messages', () => {
+  const createRes = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    send: jest.fn(),
+    setHeader: jest.fn(),
+  });
+
+  test('should translate messages for the Accept-Language locale', async () => {
+    const logger = jest.fn();
+    const res = createRes();
+    const handler = errorHandler(
+      async () => {
+        throw new NotFoundError(undefined, {
+          messageKey: 'user.notFound',
+          params: { id: 7 },
+        });
+      },
+      { logger, messages: { de } },
+    );
+
+    await handler({ headers: { 'accept-language': 'de-DE,de;q=0.9' } }, res);
+
+    expect(res.json.mock.calls[0][0].error.message).toBe(
+      'Benutzer 7 wurde nicht gefunden.',
+    );
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Language', 'de');
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Vary',
+      'Accept, Accept-Language',
+    );
+    // Logs keep the English message
+    expect(logger.mock.calls[0][1].message).toBe(
+      'The requested resource was not found.',
+    );
+    expect(logger.mock.calls[0][2].locale).toBeUndefined();
+  });
+
+  test('should translate the default message of unexpected errors', async () => {
+    registerMessages('de', de);
+
+    const response = await errorHandler(
+      async () => {
+        throw new Error('Database password leaked');
+      },
+      { logger: jest.fn() },
+    )(
+      new Request('https://example.com', {
+        headers: { 'Accept-Language': 'de' },
+      }),
+    );
+
+    const body = await response.json();
+    expect(body.error.message).toBe(de['errors.internalServer']);
+    expect(response.headers.get('content-language')).toBe('de');
+  });
+
+  test('should keep explicit messages and custom default messages', async () => {
+    registerMessages('de', de);
+    const res = createRes();
+    const unexpectedRes = createRes();
+    const options = {
+      logger: jest.fn(),
+      defaultMessage: 'Oops.',
+    };
+    const req = { headers: { 'accept-language': 'de' } };
+
+    await errorHandler(async () => {
+      throw new NotFoundError('User 1 is gone.');
+    }, options)(req, res);
+    await errorHandler(async () => {
+      throw new Error('Boom');
+    }, options)(req, unexpectedRes);
+
+    expect(res.json.mock.calls[0][0].error.message).toBe('User 1 is gone.');
+    expect(unexpectedRes.json.mock.calls[0][0].error.message).toBe('Oops.');
+  });
+
+  test('should use the resolveLocale option and pass the locale to formatError', async () => {
+    const res = createRes();
+    const formatError = jest.fn((error, req, context) => ({
+      message: context.locale,
+    }));
+
+    await errorHandler(
+      async () => {
+        throw new InternalServerError();
+      },
+      {
+        logger: jest.fn(),
+        messages: { de },
+        resolveLocale: (req) => req.cookies.locale,
+        formatError,
+      },
+    )({ headers: { 'accept-language': 'en' }, cookies: { locale: 'de' } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({ message: 'de' });
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Language', 'de');
+  });
+
+  test('should fall back to negotiation when resolveLocale fails', async () => {
+    const res = createRes();
+
+    await errorHandler(
+      async () => {
+        throw new NotFoundError();
+      },
+      {
+        logger: jest.fn(),
+        messages: { de },
+        resolveLocale: () => {
+          throw new Error('No session');
+        },
+      },
+    )({ headers: { 'accept-language': 'de' } }, res);
+
+    expect(res.json.mock.calls[0][0].error.message).toBe(de['errors.notFound']);
+    expect(console.error).toHaveBeenCalledWith(
+      'resolveLocale failed:',
+      expect.any(Error),
+    );
+  });
+
+  test('should not vary on Accept-Language without catalogs', async () => {
+    const res = createRes();
+
+    await errorHandler(
+      async () => {
+        throw new NotFoundError();
+      },
+      { logger: jest.fn() },
+    )({ headers: { 'accept-language': 'de' } }, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith('Vary', 'Accept');
+    expect(res.setHeader).not.toHaveBeenCalledWith(
+      'Content-Language',
+      expect.anything(),
+    );
+  });
+});
@@ -0,0 +1,25 @@
+// tests/index.test.js
+
+const errorHandlerPackage = require('../src');
+const errorHandler = require('../src/errorHandler');
+const { createHttpError, NotFoundError } = require('../src/customErrors');
+const { jsonSyntaxErrorMapper } = require('../src/errorMappers');
+const { safeFetch } = require('../src/safeFetch');
+
+describe('package entry point', () => {
+  test('should load and expose the public API', () => {
+    expect(errorHandlerPackage.errorHandler).toBe(errorHandler);
+    expect(errorHandlerPackage.createHttpError).toBe(createHttpError);
+    expect(errorHandlerPackage.NotFoundError).toBe(NotFoundError);
+    expect(errorHandlerPackage.jsonSyntaxErrorMapper).toBe(
+      jsonSyntaxErrorMapper,
+    );
+    expect(errorHandlerPackage.safeFetch).toBe(safeFetch);
+  });
+
+  test('should only export defined values', () => {
+    for (const [name, value] of Object.entries(errorHandlerPackage)) {
+      expect([name, value]).not.toEqual([name, undefined]);
+    }
+  });
+});
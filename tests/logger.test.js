@@ -0,0 +1,153 @@
+// tests/logger.test.js
+
+const {
+  getLogLevel,
+  serializeError,
+  createLogRecord,
+  writeLog,
+  pinoAdapter,
+  winstonAdapter,
+} = require('../src/logger');
+const { ConflictError } = require('../src/customErrors');
+
+describe('getLogLevel', () => {
+  test('should use warn for client errors and error for server errors', () => {
+    expect(getLogLevel(400)).toBe('warn');
+    expect(getLogLevel(404)).toBe('warn');
+    expect(getLogLevel(500)).toBe('error');
+    expect(getLogLevel(503)).toBe('error');
+  });
+});
+
+describe('serializeError', () => {
+  test('should serialize custom error properties and the cause chain', () => {
+    const root = new Error('socket hang up');
+    const error = new ConflictError('Duplicate.', {
+      code: 'DUPLICATE',
+      details: { id: 1 },
+      cause: new Error('insert failed', { cause: root }),
+    });
+
+    const serialized = serializeError(error);
+
+    expect(serialized).toMatchObject({
+      name: 'ConflictError',
+      message: 'Duplicate.',
+      statusCode: 409,
+      code: 'DUPLICATE',
+      details: { id: 1 },
+      cause: {
+        name: 'Error',
+        message: 'insert failed',
+        cause: { message: 'socket hang up' },
+      },
+    });
+    expect(serialized.stack).toEqual(expect.any(String));
+  });
+
+  test('should stop at cyclic cause chains', () => {
+    const error = new Error('loop');
+    error.cause = error;
+
+    let depth = 0;
+    let current = serializeError(error);
+    while (current.cause) {
+      current = current.cause;
+      depth += 1;
+    }
+    expect(depth).toBe(5);
+  });
+
+  test('should serialize non-error values', () => {
+    expect(serializeError('boom')).toEqual({ name: 'string', message: 'boom' });
+    expect(serializeError(null)).toBeUndefined();
+  });
+});
+
+describe('writeLog', () => {
+  const error = new Error('Oops.');
+  const record = createLogRecord({
+    level: 'warn',
+    message: 'Route Error:',
+    error,
+    statusCode: 400,
+    context: { requestId: 'r1' },
+  });
+
+  test('should call function loggers with message, error and record', () => {
+    const logger = jest.fn();
+    writeLog(logger, record, error);
+    expect(logger).toHaveBeenCalledWith('Route Error:', error, record);
+  });
+
+  test('should call the method matching the level', () => {
+    const logger = { warn: jest.fn(), error: jest.fn() };
+    writeLog(logger, record, error);
+    expect(logger.warn).toHaveBeenCalledWith('Route Error:', record);
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to log when the level method is missing', () => {
+    const logger = { log: jest.fn() };
+    writeLog(logger, record, error);
+    expect(logger.log).toHaveBeenCalledWith('Route Error:', record);
+  });
+
+  test('should ignore missing loggers', () => {
+    expect(() => writeLog(undefined, record, error)).not.toThrow();
+  });
+
+  test('should fall back to error for fatal records', () => {
+    const fatalRecord = { ...record, level: 'fatal' };
+    const logger = { error: jest.fn(), log: jest.fn() };
+    writeLog(logger, fatalRecord, error);
+    expect(logger.error).toHaveBeenCalledWith('Route Error:', fatalRecord);
+    expect(logger.log).not.toHaveBeenCalled();
+  });
+});
+
+describe('Logger Adapters', () => {
+  const record = createLogRecord({
+    level: 'error',
+    message: 'API Route Error:',
+    error: new Error('Down.'),
+    statusCode: 500,
+    context: { requestId: 'r2', url: '/api/x' },
+  });
+
+  test('pinoAdapter should pass a merging object and message', () => {
+    const pino = { error: jest.fn() };
+    pinoAdapter(pino).error('API Route Error:', record);
+
+    expect(pino.error).toHaveBeenCalledWith(
+      {
+        requestId: 'r2',
+        url: '/api/x',
+        statusCode: 500,
+        err: record.error,
+      },
+      'API Route Error:',
+    );
+  });
+
+  test('winstonAdapter should pass a single info object', () => {
+    const winston = { log: jest.fn() };
+    winstonAdapter(winston).warn('API Route Error:', record);
+
+    expect(winston.log).toHaveBeenCalledWith({
+      ...record,
+      level: 'warn',
+      message: 'API Route Error:',
+    });
+  });
+
+  test('winstonAdapter should map fatal to error unless winston defines it', () => {
+    const winston = { log: jest.fn() };
+    winstonAdapter(winston).fatal('API Route Error:', record);
+    expect(winston.log.mock.calls[0][0].level).toBe('error');
+
+    const custom = { log: jest.fn(), levels: { fatal: 0, error: 1 } };
+    winstonAdapter(custom).fatal('API Route Error:', record);
+    expect(custom.log.mock.calls[0][0].level).toBe('fatal');
+  });
+});
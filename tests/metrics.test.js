@@ -0,0 +1,206 @@
+// tests/metrics.test.js
+
+const {
+  PROMETHEUS_CONTENT_TYPE,
+  createMetrics,
+  recordMetrics,
+} = require('../src/metrics');
+const errorHandler = require('../src/errorHandler');
+const edgeErrorHandler = require('../src/edge');
+const { NotFoundError } = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const createRes = () => ({
+  statusCode: 200,
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+  setHeader: jest.fn(),
+});
+
+describe('createMetrics', () => {
+  test('should count errors by route, status and error name', () => {
+    const metrics = createMetrics();
+
+    metrics.record({
+      route: '/api/users',
+      statusCode: 404,
+      duration: 5,
+      error: new NotFoundError(),
+    });
+    metrics.record({
+      route: '/api/users',
+      statusCode: 404,
+      duration: 5,
+      error: new NotFoundError(),
+    });
+    metrics.record({ route: '/api/users', statusCode: 200, duration: 5 });
+
+    const output = metrics.toPrometheus();
+
+    expect(output).toContain('# TYPE nextjs_errors_total counter');
+    expect(output).toContain(
+      'nextjs_errors_total{route="/api/users",status="404",error="NotFoundError"} 2',
+    );
+    expect(output).not.toContain('status="200",error');
+  });
+
+  test('should render duration histograms', () => {
+    const metrics = createMetrics({ buckets: [0.1, 0.01], prefix: 'app_' });
+
+    metrics.record({ route: '/api/a', statusCode: 200, duration: 5 });
+    metrics.record({ route: '/api/a', statusCode: 200, duration: 50 });
+    metrics.record({ route: '/api/a', statusCode: 200, duration: 500 });
+
+    expect(metrics.toPrometheus()).toBe(
+      [
+        '# HELP app_errors_total Errors handled by errorHandler.',
+        '# TYPE app_errors_total counter',
+        '# HELP app_handler_duration_seconds Duration of wrapped handlers in seconds.',
+        '# TYPE app_handler_duration_seconds histogram',
+        'app_handler_duration_seconds_bucket{route="/api/a",status="200",le="0.01"} 1',
+        'app_handler_duration_seconds_bucket{route="/api/a",status="200",le="0.1"} 2',
+        'app_handler_duration_seconds_bucket{route="/api/a",status="200",le="+Inf"} 3',
+        'app_handler_duration_seconds_sum{route="/api/a",status="200"} 0.555',
+        'app_handler_duration_seconds_count{route="/api/a",status="200"} 3',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('should escape label values', () => {
+    const metrics = createMetrics();
+
+    metrics.record({
+      route: '/api/"quoted"\\path',
+      statusCode: 500,
+      duration: 1,
+      error: new Error('x'),
+    });
+
+    expect(metrics.toPrometheus()).toContain(
+      'route="/api/\\"quoted\\"\\\\path"',
+    );
+  });
+
+  test('should reset collected samples', () => {
+    const metrics = createMetrics();
+    metrics.record({ route: '/', statusCode: 500, duration: 1, error: null });
+
+    metrics.reset();
+
+    expect(metrics.toPrometheus()).not.toContain('route=');
+  });
+
+  test('should expose the Prometheus content type', () => {
+    expect(PROMETHEUS_CONTENT_TYPE).toBe(
+      'text/plain; version=0.0.4; charset=utf-8',
+    );
+  });
+});
+
+describe('recordMetrics', () => {
+  test('should label requests without a route as unknown', () => {
+    const metrics = { record: jest.fn() };
+
+    recordMetrics(metrics, { statusCode: 200, duration: 3 });
+
+    expect(metrics.record).toHaveBeenCalledWith({
+      route: 'unknown',
+      statusCode: 200,
+      duration: 3,
+      error: undefined,
+    });
+  });
+
+  test('should not create a series per request path', async () => {
+    const metrics = createMetrics();
+    const handler = errorHandler(async () => new Response('ok'), { metrics });
+
+    await handler(new Request('https://example.com/api/users/1'));
+    await handler(new Request('https://example.com/api/users/2'));
+
+    const output = metrics.toPrometheus();
+    expect(output).toContain(
+      'nextjs_handler_duration_seconds_count{route="unknown",status="200"} 2',
+    );
+    expect(output).not.toContain('/api/users/');
+  });
+
+  test('should isolate collector failures', () => {
+    const failure = new Error('Metrics broke');
+
+    recordMetrics(
+      {
+        record: () => {
+          throw failure;
+        },
+      },
+      { req: {}, statusCode: 500, duration: 1 },
+    );
+
+    expect(console.error).toHaveBeenCalledWith('Metrics failed:', failure);
+  });
+});
+
+describe('metrics integration', () => {
+  test('should record successful and failed API Route requests', async () => {
+    const metrics = createMetrics();
+    const req = { url: '/api/users/42', headers: {} };
+
+    await errorHandler(async () => {}, { metrics, route: '/api/users/[id]' })(
+      req,
+      createRes(),
+    );
+    await errorHandler(
+      async () => {
+        throw new NotFoundError();
+      },
+      { metrics, route: '/api/users/[id]', logger: jest.fn() },
+    )(req, createRes());
+
+    const output = metrics.toPrometheus();
+
+    expect(output).toContain(
+      'nextjs_errors_total{route="/api/users/[id]",status="404",error="NotFoundError"} 1',
+    );
+    expect(output).toContain(
+      'nextjs_handler_duration_seconds_count{route="/api/users/[id]",status="200"} 1',
+    );
+    expect(output).toContain(
+      'nextjs_handler_duration_seconds_count{route="/api/users/[id]",status="404"} 1',
+    );
+  });
+
+  test('should record App Router and Edge requests', async () => {
+    const metrics = createMetrics();
+
+    await errorHandler(async () => new Response('ok', { status: 201 }), {
+      metrics,
+      route: '/api/items',
+    })(new Request('https://example.com/api/items'));
+    await edgeErrorHandler(
+      async () => {
+        throw new Error('Boom');
+      },
+      { metrics, route: '/api/edge', logger: jest.fn() },
+    )(new Request('https://example.com/api/edge'));
+
+    const output = metrics.toPrometheus();
+
+    expect(output).toContain(
+      'nextjs_handler_duration_seconds_count{route="/api/items",status="201"} 1',
+    );
+    expect(output).toContain(
+      'nextjs_errors_total{route="/api/edge",status="500",error="Error"} 1',
+    );
+  });
+});
@@ -0,0 +1,68 @@
+// tests/problemDetails.test.js
+
+const {
+  toProblemDetails,
+  PROBLEM_CONTENT_TYPE,
+} = require('../src/problemDetails');
+const {
+  CustomError,
+  HTTPVersionNotSupportedError,
+  TooManyRequestsError,
+} = require('../src/customErrors');
+
+describe('toProblemDetails', () => {
+  test('should expose the problem media type', () => {
+    expect(PROBLEM_CONTENT_TYPE).toBe('application/problem+json');
+  });
+
+  test('should derive type and title from the error class name', () => {
+    const problem = toProblemDetails(
+      new HTTPVersionNotSupportedError(),
+      { url: '/api/test' },
+      {
+        statusCode: 505,
+        message: 'Unsupported.',
+        typeBaseUrl: 'https://example.com/problems',
+      },
+    );
+
+    expect(problem.type).toBe(
+      'https://example.com/problems/http-version-not-supported',
+    );
+    expect(problem.title).toBe('HTTP Version Not Supported');
+  });
+
+  test('should use about:blank and the status phrase without a base URL', () => {
+    const problem = toProblemDetails(new TooManyRequestsError(), null, {
+      statusCode: 429,
+      message: 'Slow down.',
+    });
+
+    expect(problem).toEqual({
+      type: 'about:blank',
+      title: 'Too Many Requests',
+      status: 429,
+      detail: 'Slow down.',
+    });
+  });
+
+  test('should not let extension members override standard members', () => {
+    const error = new CustomError('Boom.', 418, 'TeapotError');
+    error.status = 200;
+    error.detail = 'overridden';
+    error.flavour = 'earl grey';
+
+    const problem = toProblemDetails(
+      error,
+      {},
+      {
+        statusCode: 418,
+        message: 'Boom.',
+      },
+    );
+
+    expect(problem.status).toBe(418);
+    expect(problem.detail).toBe('Boom.');
+    expect(problem.flavour).toBe('earl grey');
+  });
+});
@@ -0,0 +1,502 @@
+// tests/rateLimit.test.js
+
+const {
+  createMemoryStore,
+  createRateLimiter,
+  getClientIp,
+} = require('../src/rateLimit');
+const errorHandler = require('../src/errorHandler');
+const edgeErrorHandler = require('../src/edge');
+const { TooManyRequestsError } = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const createRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(),
+    send: jest.fn(),
+    end: jest.fn(),
+    setHeader: jest.fn((name, value) => {
+      res.headers[name] = value;
+    }),
+  };
+  return res;
+};
+
+const createRequest = (ip = '203.0.113.7', headers = {}) =>
+  new Request('https://app.example.com/api/users', {
+    headers: { 'x-forwarded-for': ip, ...headers },
+  });
+
+describe('createMemoryStore', () => {
+  test('should return stored state until it expires', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const store = createMemoryStore();
+
+    store.set('key', { count: 1 }, 500);
+    expect(store.get('key')).toEqual({ count: 1 });
+
+    now.mockReturnValue(1500);
+    expect(store.get('key')).toBeUndefined();
+    now.mockRestore();
+  });
+
+  test('should drop the least recently written keys over maxKeys', () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+    store.set('a', { count: 1 }, 1000);
+    store.set('b', { count: 1 }, 1000);
+    store.set('a', { count: 2 }, 1000);
+    store.set('c', { count: 1 }, 1000);
+
+    expect(store.get('a')).toEqual({ count: 2 });
+    expect(store.get('b')).toBeUndefined();
+    expect(store.get('c')).toEqual({ count: 1 });
+  });
+
+  test('should delete and clear entries', () => {
+    const store = createMemoryStore();
+    store.set('a', { count: 1 }, 1000);
+    store.set('b', { count: 1 }, 1000);
+
+    store.delete('a');
+    expect(store.get('a')).toBeUndefined();
+    store.clear();
+    expect(store.get('b')).toBeUndefined();
+  });
+});
+
+describe('getClientIp', () => {
+  const forwarded = (value) => ({
+    headers: { 'x-forwarded-for': value, 'x-real-ip': '198.51.100.9' },
+    socket: { remoteAddress: '10.0.0.1' },
+  });
+
+  test('should ignore forwarding headers by default', () => {
+    expect(getClientIp(forwarded('198.51.100.1'))).toBe('10.0.0.1');
+    expect(getClientIp(createRequest('198.51.100.1'))).toBe('unknown');
+  });
+
+  test('should read the entry appended by the outermost trusted proxy', () => {
+    const req = forwarded('6.6.6.6, 198.51.100.1, 192.0.2.1');
+
+    expect(getClientIp(req, 1)).toBe('192.0.2.1');
+    expect(getClientIp(req, 2)).toBe('198.51.100.1');
+    expect(getClientIp(req, 5)).toBe('6.6.6.6');
+  });
+
+  test('should fall back to X-Real-IP behind a trusted proxy', () => {
+    expect(getClientIp({ headers: { 'x-real-ip': '198.51.100.2' } }, 1)).toBe(
+      '198.51.100.2',
+    );
+  });
+
+  test('should use the platform and socket addresses', () => {
+    expect(getClientIp({ headers: {}, ip: '198.51.100.4' })).toBe(
+      '198.51.100.4',
+    );
+    expect(
+      getClientIp({
+        headers: {},
+        socket: { remoteAddress: '198.51.100.3' },
+      }),
+    ).toBe('198.51.100.3');
+    expect(getClientIp({ headers: {} })).toBe('unknown');
+  });
+});
+
+describe('createRateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    // The start of a window, so window boundaries are predictable
+    now = jest.spyOn(Date, 'now').mockReturnValue(600000);
+  });
+
+  afterEach(() => {
+    now.mockRestore();
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => createRateLimiter({ algorithm: 'leaky-bucket' })).toThrow(
+      TypeError,
+    );
+    expect(() => createRateLimiter({ limit: 0 })).toThrow(TypeError);
+    expect(() => createRateLimiter({ key: 'user' })).toThrow(
+      "Rate limiting by 'user' requires a getUserId function.",
+    );
+    expect(() => createRateLimiter({ store: {} })).toThrow(TypeError);
+  });
+
+  describe('sliding window', () => {
+    test('should allow requests up to the limit', async () => {
+      const limiter = createRateLimiter({ limit: 3, window: 60000 });
+
+      const results = [];
+      for (let i = 0; i < 4; i += 1) {
+        results.push(await limiter.consume('ip:1'));
+      }
+
+      expect(results.map((result) => result.allowed)).toEqual([
+        true,
+        true,
+        true,
+        false,
+      ]);
+      expect(results.map((result) => result.remaining)).toEqual([2, 1, 0, 0]);
+      expect(results[0]).toMatchObject({ limit: 3, reset: 60, window: 60000 });
+      // The next window starts with all 3 requests, and one must slide out: 60 + 20 seconds
+      expect(results[3].retryAfter).toBe(80);
+    });
+
+    test('should weight the previous window', async () => {
+      const limiter = createRateLimiter({ limit: 4, window: 60000 });
+      for (let i = 0; i < 4; i += 1) {
+        await limiter.consume('ip:1');
+      }
+
+      // A quarter into the next window, 3 of the previous 4 requests still count
+      now.mockReturnValue(675000);
+      const first = await limiter.consume('ip:1');
+      const second = await limiter.consume('ip:1');
+
+      expect(first).toMatchObject({ allowed: true, remaining: 0 });
+      expect(second.allowed).toBe(false);
+      // The previous window must slide out by another request: 15 seconds
+      expect(second.retryAfter).toBe(15);
+    });
+
+    test('should start over after two windows', async () => {
+      const limiter = createRateLimiter({ limit: 1, window: 1000 });
+      await limiter.consume('ip:1');
+      expect((await limiter.consume('ip:1')).allowed).toBe(false);
+
+      now.mockReturnValue(602000);
+      expect((await limiter.consume('ip:1')).allowed).toBe(true);
+    });
+  });
+
+  describe('token bucket', () => {
+    test('should allow bursts up to the limit and refill over time', async () => {
+      const limiter = createRateLimiter({
+        algorithm: 'token-bucket',
+        limit: 2,
+        window: 10000,
+      });
+
+      expect((await limiter.consume('ip:1')).remaining).toBe(1);
+      expect((await limiter.consume('ip:1')).remaining).toBe(0);
+      const rejected = await limiter.consume('ip:1');
+      expect(rejected).toMatchObject({ allowed: false, retryAfter: 5 });
+      expect(rejected.reset).toBe(10);
+
+      // One token is refilled every 5 seconds
+      now.mockReturnValue(605000);
+      expect(await limiter.consume('ip:1')).toMatchObject({
+        allowed: true,
+        remaining: 0,
+      });
+    });
+
+    test('should count the cost of a request', async () => {
+      const limiter = createRateLimiter({
+        algorithm: 'token-bucket',
+        limit: 10,
+        window: 10000,
+      });
+
+      expect((await limiter.consume('ip:1', 8)).remaining).toBe(2);
+      expect((await limiter.consume('ip:1', 3)).allowed).toBe(false);
+    });
+  });
+
+  test('should keep keys apart', async () => {
+    const limiter = createRateLimiter({ limit: 1 });
+
+    expect((await limiter.consume('ip:1')).allowed).toBe(true);
+    expect((await limiter.consume('ip:2')).allowed).toBe(true);
+    expect((await limiter.consume('ip:1')).allowed).toBe(false);
+  });
+
+  test('should forget a key on reset', async () => {
+    const limiter = createRateLimiter({ limit: 1 });
+    await limiter.consume('ip:1');
+
+    await limiter.reset('ip:1');
+
+    expect((await limiter.consume('ip:1')).allowed).toBe(true);
+  });
+
+  test('should use an async store', async () => {
+    const data = new Map();
+    const store = {
+      get: jest.fn(async (key) => data.get(key)),
+      set: jest.fn(async (key, state) => {
+        data.set(key, JSON.parse(JSON.stringify(state)));
+      }),
+    };
+    const limiter = createRateLimiter({ limit: 1, store, prefix: 'api' });
+
+    await limiter.consume('ip:1');
+    const result = await limiter.consume('ip:1');
+
+    expect(result.allowed).toBe(false);
+    expect(store.set).toHaveBeenCalledWith(
+      'api:ip:1',
+      expect.any(Object),
+      120000,
+    );
+  });
+
+  test('should count concurrent requests atomically with the memory store', async () => {
+    const limiter = createRateLimiter({ limit: 2 });
+
+    const results = await Promise.all(
+      [1, 2, 3, 4].map(() => limiter.consume('ip:1')),
+    );
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(2);
+  });
+
+  test('should prefer the atomic update method of a store', async () => {
+    let saved;
+    const store = {
+      get: jest.fn(),
+      set: jest.fn(),
+      update: jest.fn(async (key, updater) => {
+        saved = updater(saved && saved.state);
+      }),
+    };
+    const limiter = createRateLimiter({ limit: 1, store });
+
+    await limiter.consume('ip:1');
+    const result = await limiter.consume('ip:1');
+
+    expect(result.allowed).toBe(false);
+    expect(store.update).toHaveBeenCalledWith('rl:ip:1', expect.any(Function));
+    expect(store.get).not.toHaveBeenCalled();
+    expect(store.set).not.toHaveBeenCalled();
+  });
+
+  describe('check', () => {
+    test('should return the RateLimit headers of allowed requests', async () => {
+      const limiter = createRateLimiter({
+        limit: 2,
+        window: 60000,
+        trustProxy: 1,
+      });
+
+      await expect(limiter.check(createRequest())).resolves.toEqual({
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '1',
+        'RateLimit-Reset': '60',
+        'RateLimit-Policy': '2;w=60',
+      });
+    });
+
+    test('should throw a TooManyRequestsError over the limit', async () => {
+      const limiter = createRateLimiter({
+        limit: 1,
+        window: 60000,
+        trustProxy: 1,
+      });
+      await limiter.check(createRequest());
+
+      const error = await limiter.check(createRequest()).catch((e) => e);
+
+      expect(error).toBeInstanceOf(TooManyRequestsError);
+      expect(error.retryAfter).toBe(120);
+      expect(error.getHeaders()).toMatchObject({
+        'Retry-After': '120',
+        'RateLimit-Limit': '1',
+        'RateLimit-Remaining': '0',
+      });
+    });
+
+    test('should count signed-in users by ID and anonymous users by IP', async () => {
+      const limiter = createRateLimiter({
+        limit: 1,
+        key: 'user',
+        trustProxy: 1,
+        getUserId: async (req) => req.headers.get('x-user-id'),
+      });
+
+      await limiter.check(createRequest('203.0.113.7', { 'x-user-id': '42' }));
+      // Same user from another IP address
+      await expect(
+        limiter.check(createRequest('198.51.100.1', { 'x-user-id': '42' })),
+      ).rejects.toBeInstanceOf(TooManyRequestsError);
+      // Anonymous request from the first IP address
+      await expect(limiter.check(createRequest())).resolves.toBeDefined();
+    });
+
+    test('should not be bypassed with spoofed X-Forwarded-For entries', async () => {
+      const limiter = createRateLimiter({ limit: 1, trustProxy: 1 });
+
+      await limiter.check(createRequest('6.6.6.1, 203.0.113.7'));
+
+      await expect(
+        limiter.check(createRequest('6.6.6.2, 203.0.113.7')),
+      ).rejects.toBeInstanceOf(TooManyRequestsError);
+    });
+
+    test('should not rate limit requests from an unknown IP address', async () => {
+      console.error.mockClear();
+      const limiter = createRateLimiter({ limit: 1 });
+
+      await expect(limiter.check(createRequest())).resolves.toEqual({});
+      await expect(limiter.check(createRequest())).resolves.toEqual({});
+
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(console.error.mock.calls[0][1].message).toMatch(/trustProxy/);
+    });
+
+    test('should use a custom key function', async () => {
+      const limiter = createRateLimiter({
+        limit: 1,
+        key: (req) => req.headers.get('x-api-key'),
+      });
+
+      await limiter.check(createRequest('1.1.1.1', { 'x-api-key': 'a' }));
+
+      await expect(
+        limiter.check(createRequest('2.2.2.2', { 'x-api-key': 'a' })),
+      ).rejects.toBeInstanceOf(TooManyRequestsError);
+    });
+
+    test('should skip requests', async () => {
+      const limiter = createRateLimiter({
+        limit: 1,
+        skip: (req) => new URL(req.url).pathname === '/api/users',
+      });
+
+      await limiter.check(createRequest());
+
+      await expect(limiter.check(createRequest())).resolves.toEqual({});
+    });
+
+    test('should allow requests when the store fails', async () => {
+      const limiter = createRateLimiter({
+        store: {
+          get: async () => {
+            throw new Error('Connection refused');
+          },
+          set: async () => {},
+        },
+      });
+
+      await expect(limiter.check(createRequest())).resolves.toEqual({});
+      expect(console.error).toHaveBeenCalledWith(
+        'Rate limiting failed:',
+        expect.any(Error),
+      );
+    });
+  });
+});
+
+describe('errorHandler - Rate Limiting', () => {
+  test('should add RateLimit headers to App Router responses', async () => {
+    const handler = errorHandler(async () => Response.json({ ok: true }), {
+      rateLimit: { limit: 2, trustProxy: 1 },
+    });
+
+    const response = await handler(createRequest(), { params: {} });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('RateLimit-Limit')).toBe('2');
+    expect(response.headers.get('RateLimit-Remaining')).toBe('1');
+  });
+
+  test('should respond with 429 without running the handler', async () => {
+    const route = jest.fn(async () => Response.json({ ok: true }));
+    const handler = errorHandler(route, {
+      rateLimit: createRateLimiter({ limit: 1, trustProxy: 1 }),
+    });
+
+    await handler(createRequest(), { params: {} });
+    const response = await handler(createRequest(), { params: {} });
+    const body = await response.json();
+
+    expect(route).toHaveBeenCalledTimes(1);
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toMatch(/^\d+$/);
+    expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(body.error.type).toBe('TooManyRequestsError');
+  });
+
+  test('should keep the RateLimit headers on error responses', async () => {
+    const handler = errorHandler(
+      async () => {
+        throw new Error('Database is down');
+      },
+      { rateLimit: { limit: 5, trustProxy: 1 } },
+    );
+
+    const response = await handler(createRequest(), { params: {} });
+
+    expect(response.status).toBe(500);
+    expect(response.headers.get('RateLimit-Remaining')).toBe('4');
+  });
+
+  test('should not share one limit between clients of unknown IP address', async () => {
+    const handler = errorHandler(async () => Response.json({ ok: true }), {
+      rateLimit: { limit: 2 },
+    });
+
+    const statuses = [];
+    for (const ip of ['203.0.113.7', '198.51.100.1', '192.0.2.4']) {
+      const response = await handler(createRequest(ip), { params: {} });
+      statuses.push(response.status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200]);
+  });
+
+  test('should rate limit API Routes', async () => {
+    const route = jest.fn(async (req, res) => {
+      res.status(200).json({ ok: true });
+    });
+    const handler = errorHandler(route, { rateLimit: { limit: 1 } });
+    const req = {
+      method: 'GET',
+      url: '/api/users',
+      headers: {},
+      socket: { remoteAddress: '203.0.113.7' },
+    };
+
+    const allowed = createRes();
+    await handler(req, allowed);
+    const rejected = createRes();
+    await handler(req, rejected);
+
+    expect(allowed.headers['RateLimit-Remaining']).toBe('0');
+    expect(route).toHaveBeenCalledTimes(1);
+    expect(rejected.status).toHaveBeenCalledWith(429);
+    expect(rejected.headers['Retry-After']).toBeDefined();
+  });
+
+  test('should rate limit Edge handlers', async () => {
+    const handler = edgeErrorHandler(async () => undefined, {
+      rateLimit: { limit: 1, trustProxy: 1 },
+    });
+
+    await expect(handler(createRequest())).resolves.toBeUndefined();
+    const response = await handler(createRequest());
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('RateLimit-Limit')).toBe('1');
+  });
+});
@@ -0,0 +1,148 @@
+// tests/renderers.test.js
+
+const {
+  escapeHtml,
+  renderHtmlPage,
+  registerRenderer,
+  clearRenderers,
+  selectRenderer,
+} = require('../src/renderers');
+const { createDebugInfo } = require('../src/debug');
+
+const payload = {
+  statusCode: 422,
+  type: 'ValidationError',
+  message: 'The submitted data is invalid.',
+  code: 'INVALID',
+  fields: [{ path: 'name', message: 'Name is <required>.', rule: 'required' }],
+  requestId: 'req-1',
+  body: { error: { message: 'The submitted data is invalid.' } },
+  problem: { type: 'about:blank', status: 422 },
+};
+
+afterEach(() => {
+  clearRenderers();
+});
+
+describe('selectRenderer', () => {
+  const select = (accept, options) => selectRenderer(accept, options).type;
+
+  test('should use the default type when there is no Accept header', () => {
+    expect(select(undefined)).toBe('application/json');
+    expect(select('', { defaultType: 'application/problem+json' })).toBe(
+      'application/problem+json',
+    );
+  });
+
+  test('should pick the best match by quality', () => {
+    expect(select('text/html,application/xhtml+xml,*/*;q=0.8')).toBe(
+      'text/html',
+    );
+    expect(select('text/plain;q=0.5, application/xml')).toBe('application/xml');
+    expect(select('application/problem+json')).toBe('application/problem+json');
+  });
+
+  test('should prefer the default type for wildcards and ties', () => {
+    expect(select('*/*')).toBe('application/json');
+    expect(select('application/json, text/plain, */*')).toBe(
+      'application/json',
+    );
+    expect(select('text/*')).toBe('text/html');
+  });
+
+  test('should honour q=0 and the most specific range', () => {
+    expect(select('*/*, application/json;q=0')).toBe(
+      'application/problem+json',
+    );
+  });
+
+  test('should return null when nothing is acceptable', () => {
+    expect(selectRenderer('image/png')).toBeNull();
+  });
+
+  test('should include registered and per-handler renderers', () => {
+    const unregister = registerRenderer('application/vnd.api+json', () => '');
+    expect(select('application/vnd.api+json')).toBe('application/vnd.api+json');
+    unregister();
+    expect(selectRenderer('application/vnd.api+json')).toBeNull();
+
+    const renderer = selectRenderer('text/csv', {
+      renderers: {
+        'text/csv': {
+          contentType: 'text/csv; charset=utf-8',
+          render: () => 'a,b',
+        },
+      },
+    });
+    expect(renderer.contentType).toBe('text/csv; charset=utf-8');
+    expect(renderer.render()).toBe('a,b');
+  });
+
+  test('should reject invalid renderers', () => {
+    expect(() => registerRenderer('text/csv')).toThrow(TypeError);
+  });
+});
+
+describe('Built-in Renderers', () => {
+  const render = (type) => selectRenderer(type).render(payload);
+
+  test('should render the JSON body and Problem Details object', () => {
+    expect(JSON.parse(render('application/json'))).toEqual(payload.body);
+    expect(JSON.parse(render('application/problem+json'))).toEqual(
+      payload.problem,
+    );
+  });
+
+  test('should render plain text', () => {
+    expect(render('text/plain')).toBe(
+      [
+        '422 Unprocessable Entity: The submitted data is invalid.',
+        'Code: INVALID',
+        '- name: Name is <required>.',
+        'Request ID: req-1',
+      ].join('\n'),
+    );
+  });
+
+  test('should render escaped XML', () => {
+    const xml = render('application/xml');
+    expect(xml).toContain('<status>422</status>');
+    expect(xml).toContain('<type>ValidationError</type>');
+    expect(xml).toContain(
+      '<field path="name" rule="required">Name is &lt;required&gt;.</field>',
+    );
+    expect(xml).toContain('<requestId>req-1</requestId>');
+  });
+
+  test('should render an HTML page', () => {
+    const html = render('text/html');
+    expect(html).toContain('<title>422 Unprocessable Entity</title>');
+    expect(html).toContain('The submitted data is invalid.');
+  });
+});
+
+describe('renderHtmlPage', () => {
+  test('should escape HTML', () => {
+    expect(escapeHtml('<a href="x">\'&')).toBe(
+      '&lt;a href=&quot;x&quot;&gt;&#39;&amp;',
+    );
+  });
+
+  test('should render the error and its causes in debug mode', () => {
+    const html = renderHtmlPage({
+      statusCode: 500,
+      message: 'Something went wrong.',
+      requestId: 'req-1',
+      debug: createDebugInfo(
+        new Error('<script>', { cause: new Error('Root cause.') }),
+      ),
+    });
+
+    expect(html).toContain('<title>500 Internal Server Error</title>');
+    expect(html).toContain('Request ID: <code>req-1</code>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Caused by: Error');
+    expect(html).toContain('Root cause.');
+  });
+});
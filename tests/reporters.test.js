@@ -0,0 +1,224 @@
+// tests/reporters.test.js
+
+const {
+  createReporter,
+  sentryReporter,
+  createMemoryReporter,
+  toReporterList,
+  reportError,
+} = require('../src/reporters');
+const errorHandler = require('../src/errorHandler');
+const { withActionErrors } = require('../src/serverActions');
+const {
+  NotFoundError,
+  InternalServerError,
+  ServiceUnavailableError,
+} = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const event = (statusCode, extra = {}) => ({
+  requestId: 'req-1',
+  statusCode,
+  level: statusCode >= 500 ? 'error' : 'warn',
+  ...extra,
+});
+
+describe('createReporter', () => {
+  test('should report only 5xx errors by default', () => {
+    const report = jest.fn();
+    const reporter = createReporter(report);
+
+    reporter.report(new NotFoundError(), event(404));
+    reporter.report(new InternalServerError(), event(500));
+
+    expect(report).toHaveBeenCalledTimes(1);
+    expect(report).toHaveBeenCalledWith(
+      expect.any(InternalServerError),
+      event(500),
+    );
+  });
+
+  test('should accept a custom shouldReport predicate', () => {
+    const report = jest.fn();
+    const reporter = createReporter(report, { shouldReport: () => true });
+
+    reporter.report(new NotFoundError(), event(404));
+
+    expect(report).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ignore listed error classes and names', () => {
+    const report = jest.fn();
+    const reporter = createReporter(report, {
+      ignore: [ServiceUnavailableError, 'TypeError'],
+    });
+
+    reporter.report(new ServiceUnavailableError(), event(503));
+    reporter.report(new TypeError('x'), event(500));
+    reporter.report(new Error('y'), event(500));
+
+    expect(report).toHaveBeenCalledTimes(1);
+  });
+
+  test('should sample reports by rate', () => {
+    const report = jest.fn();
+    const reporter = createReporter(report, { sampleRate: 0.25 });
+    const random = jest
+      .spyOn(Math, 'random')
+      .mockReturnValueOnce(0.1)
+      .mockReturnValueOnce(0.9);
+
+    reporter.report(new Error('a'), event(500));
+    reporter.report(new Error('b'), event(500));
+    random.mockRestore();
+
+    expect(report).toHaveBeenCalledTimes(1);
+    expect(report.mock.calls[0][0].message).toBe('a');
+  });
+
+  test('should deduplicate identical errors within the window', () => {
+    const report = jest.fn();
+    const reporter = createReporter(report, { dedupeWindow: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    reporter.report(new Error('Database down'), event(500));
+    reporter.report(new Error('Database down'), event(500));
+    reporter.report(new Error('Cache down'), event(500));
+    now.mockReturnValue(11000);
+    reporter.report(new Error('Database down'), event(500));
+    now.mockRestore();
+
+    expect(report.mock.calls.map(([error]) => error.message)).toEqual([
+      'Database down',
+      'Cache down',
+      'Database down',
+    ]);
+  });
+});
+
+describe('sentryReporter', () => {
+  test('should capture exceptions with the request context', () => {
+    const Sentry = { captureException: jest.fn() };
+    const error = new Error('Boom');
+
+    sentryReporter(Sentry).report(
+      error,
+      event(500, { method: 'GET', url: '/api/users', params: { id: '1' } }),
+    );
+
+    expect(Sentry.captureException).toHaveBeenCalledWith(error, {
+      level: 'error',
+      tags: { requestId: 'req-1', statusCode: '500' },
+      contexts: {
+        request: {
+          method: 'GET',
+          url: '/api/users',
+          params: { id: '1' },
+          duration: undefined,
+        },
+      },
+    });
+  });
+
+  test('should map the warn level to Sentry warning', () => {
+    const Sentry = { captureException: jest.fn() };
+
+    sentryReporter(Sentry, { shouldReport: () => true }).report(
+      new NotFoundError(),
+      event(404),
+    );
+
+    expect(Sentry.captureException.mock.calls[0][1].level).toBe('warning');
+  });
+});
+
+describe('reportError', () => {
+  test('should isolate failing reporters', async () => {
+    console.error.mockClear();
+    const failure = new Error('Reporter broke');
+    const working = createMemoryReporter();
+    const reporters = toReporterList([
+      () => {
+        throw failure;
+      },
+      { report: () => Promise.reject(failure) },
+      working,
+    ]);
+
+    reportError(reporters, new Error('Boom'), event(500));
+    await Promise.resolve();
+
+    expect(working.reports).toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith('Reporter failed:', failure);
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('reporter integration', () => {
+  test('should report errorHandler errors with request metadata', async () => {
+    const reporter = createMemoryReporter();
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      setHeader: jest.fn(),
+    };
+    const req = {
+      method: 'POST',
+      url: '/api/orders',
+      headers: { 'x-request-id': 'abc' },
+    };
+
+    await errorHandler(
+      async () => {
+        throw new Error('Database down');
+      },
+      { reporter, logger: jest.fn() },
+    )(req, res);
+    await errorHandler(
+      async () => {
+        throw new NotFoundError();
+      },
+      { reporter, logger: jest.fn() },
+    )(req, res);
+
+    expect(reporter.reports).toEqual([
+      {
+        error: expect.objectContaining({ message: 'Database down' }),
+        event: expect.objectContaining({
+          requestId: 'abc',
+          method: 'POST',
+          url: '/api/orders',
+          statusCode: 500,
+          level: 'error',
+        }),
+      },
+    ]);
+
+    reporter.clear();
+    expect(reporter.reports).toEqual([]);
+  });
+
+  test('should report Server Action errors', async () => {
+    const reporter = createMemoryReporter();
+
+    await withActionErrors(
+      async function checkout() {
+        throw new Error('Payment provider down');
+      },
+      { reporter, logger: jest.fn() },
+    )();
+
+    expect(reporter.reports[0].event).toEqual(
+      expect.objectContaining({ action: 'checkout', statusCode: 500 }),
+    );
+  });
+});
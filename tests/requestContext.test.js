@@ -0,0 +1,108 @@
+// tests/requestContext.test.js
+
+const {
+  getHeader,
+  generateRequestId,
+  isPagesResponse,
+  resolveParams,
+  resolveRequestId,
+} = require('../src/requestContext');
+
+describe('getHeader', () => {
+  test('should read headers from plain objects', () => {
+    const req = { headers: { 'x-request-id': 'abc', accept: ['a', 'b'] } };
+    expect(getHeader(req, 'X-Request-Id')).toBe('abc');
+    expect(getHeader(req, 'accept')).toBe('a');
+  });
+
+  test('should read headers from Headers instances', () => {
+    const req = new Request('https://example.com', {
+      headers: { 'X-Request-Id': 'abc' },
+    });
+    expect(getHeader(req, 'x-request-id')).toBe('abc');
+    expect(getHeader(req, 'accept')).toBeUndefined();
+  });
+
+  test('should handle missing requests and headers', () => {
+    expect(getHeader(undefined, 'accept')).toBeUndefined();
+    expect(getHeader({}, 'accept')).toBeUndefined();
+  });
+});
+
+describe('resolveRequestId', () => {
+  test('should generate unique UUIDs', () => {
+    const first = generateRequestId();
+    expect(first).toMatch(/^[0-9a-f-]{36}$/);
+    expect(generateRequestId()).not.toBe(first);
+  });
+
+  // Replaces globalThis.crypto, which Node.js 18 does not define for CommonJS
+  const withCrypto = (webCrypto, callback) => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', {
+      value: webCrypto,
+      configurable: true,
+    });
+
+    try {
+      callback();
+    } finally {
+      if (descriptor) {
+        Object.defineProperty(globalThis, 'crypto', descriptor);
+      } else {
+        delete globalThis.crypto;
+      }
+    }
+  };
+
+  const UUID_V4 =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+  test('should fall back to getRandomValues without randomUUID', () => {
+    const { webcrypto } = require('crypto');
+    const getRandomValues = (bytes) => webcrypto.getRandomValues(bytes);
+
+    withCrypto({ getRandomValues }, () => {
+      expect(generateRequestId()).toMatch(UUID_V4);
+    });
+  });
+
+  test('should generate unique UUIDs without Web Crypto', () => {
+    withCrypto(undefined, () => {
+      const first = generateRequestId();
+      expect(first).toMatch(UUID_V4);
+      expect(generateRequestId()).not.toBe(first);
+    });
+  });
+
+  test('should reuse a valid incoming ID', () => {
+    const req = { headers: { 'x-request-id': 'trace:01.AB-c_d' } };
+    expect(resolveRequestId(req)).toBe('trace:01.AB-c_d');
+  });
+
+  test('should generate an ID when the incoming one is invalid', () => {
+    const req = { headers: { 'x-request-id': 'x'.repeat(200) } };
+    expect(resolveRequestId(req, 'x-request-id', () => 'new')).toBe('new');
+  });
+});
+
+describe('route context', () => {
+  test('should distinguish Pages responses from App Router contexts', () => {
+    expect(isPagesResponse({ status: jest.fn(), json: jest.fn() })).toBe(true);
+    expect(isPagesResponse({ params: { id: '1' } })).toBe(false);
+    expect(isPagesResponse({ params: { status: 'open' } })).toBe(false);
+    expect(isPagesResponse(undefined)).toBe(false);
+  });
+
+  test('should resolve plain and Promise params', async () => {
+    await expect(resolveParams({ params: { id: '1' } })).resolves.toEqual({
+      id: '1',
+    });
+    await expect(
+      resolveParams({ params: Promise.resolve({ id: '2' }) }),
+    ).resolves.toEqual({ id: '2' });
+    await expect(resolveParams({ waitUntil: jest.fn() })).resolves.toBe(
+      undefined,
+    );
+  });
+});
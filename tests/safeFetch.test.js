@@ -0,0 +1,353 @@
+// tests/safeFetch.test.js
+
+const { safeFetch } = require('../src/safeFetch');
+const errorHandler = require('../src/errorHandler');
+const {
+  BadGatewayError,
+  ConflictError,
+  GatewayTimeoutError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const USERS_API = 'https://users.internal/users/1';
+
+const jsonResponse = (body, init = {}) =>
+  new Response(JSON.stringify(body), {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers },
+  });
+
+// A fetch that never settles on its own, but rejects when its signal aborts
+const hangingFetch = jest.fn(
+  (input, init) =>
+    new Promise((resolve, reject) => {
+      const rejectAborted = () => {
+        const abortError = new Error('The operation was aborted.');
+        abortError.name = 'AbortError';
+        reject(abortError);
+      };
+      if (init.signal.aborted) {
+        rejectAborted();
+      }
+      init.signal.addEventListener('abort', rejectAborted);
+    }),
+);
+
+describe('safeFetch', () => {
+  beforeEach(() => {
+    hangingFetch.mockClear();
+  });
+
+  test('should return successful responses unchanged', async () => {
+    const response = jsonResponse({ id: 1 });
+    const fetch = jest.fn().mockResolvedValue(response);
+
+    const result = await safeFetch(
+      USERS_API,
+      { headers: { 'X-Trace': '1' } },
+      { fetch },
+    );
+
+    expect(result).toBe(response);
+    expect(fetch).toHaveBeenCalledWith(
+      USERS_API,
+      expect.objectContaining({ headers: { 'X-Trace': '1' } }),
+    );
+  });
+
+  test('should convert network failures into a BadGatewayError', async () => {
+    const networkError = new TypeError('fetch failed');
+    const fetch = jest.fn().mockRejectedValue(networkError);
+
+    const error = await safeFetch(USERS_API, {}, { fetch }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+    expect(error.statusCode).toBe(502);
+    expect(error.message).toBe(
+      'Received an invalid response from the upstream server.',
+    );
+    expect(error.cause.message).toBe(`GET ${USERS_API} failed`);
+    expect(error.cause.cause).toBe(networkError);
+  });
+
+  test('should convert timeouts into a GatewayTimeoutError', async () => {
+    const error = await safeFetch(
+      USERS_API,
+      {},
+      { fetch: hangingFetch, timeout: 10 },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(GatewayTimeoutError);
+    expect(error.statusCode).toBe(504);
+    expect(error.cause.message).toBe(`GET ${USERS_API} timed out after 10 ms`);
+  });
+
+  test('should convert aborted requests into a GatewayTimeoutError', async () => {
+    const controller = new AbortController();
+    const pending = safeFetch(
+      USERS_API,
+      { method: 'post', signal: controller.signal },
+      { fetch: hangingFetch },
+    ).catch((e) => e);
+    controller.abort();
+
+    const error = await pending;
+
+    expect(error).toBeInstanceOf(GatewayTimeoutError);
+    expect(error.cause.message).toBe(`POST ${USERS_API} was aborted`);
+  });
+
+  test('should convert upstream 5xx responses into a BadGatewayError', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValue(
+        jsonResponse(
+          { error: { message: 'Database is down.' } },
+          { status: 503, statusText: 'Service Unavailable' },
+        ),
+      );
+
+    const error = await safeFetch(USERS_API, {}, { fetch }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+    expect(error.message).toBe(
+      'Received an invalid response from the upstream server.',
+    );
+    expect(error.details).toBeUndefined();
+    expect(error.cause.message).toBe(
+      `GET ${USERS_API} responded with 503 Service Unavailable`,
+    );
+  });
+
+  test('should forward selected upstream 4xx responses as the matching error class', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValueOnce(new Response(null, { status: 404 }))
+      .mockResolvedValueOnce(new Response(null, { status: 409 }));
+
+    const notFound = await safeFetch(USERS_API, {}, { fetch }).catch((e) => e);
+    const conflict = await safeFetch(
+      USERS_API,
+      { method: 'PUT' },
+      { fetch },
+    ).catch((e) => e);
+
+    expect(notFound).toBeInstanceOf(NotFoundError);
+    expect(notFound.message).toBe('The requested resource was not found.');
+    expect(conflict).toBeInstanceOf(ConflictError);
+  });
+
+  test('should forward the upstream Retry-After of a 429 response', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValue(
+        new Response(null, { status: 429, headers: { 'Retry-After': '30' } }),
+      );
+
+    const error = await safeFetch(USERS_API, {}, { fetch }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.retryAfter).toBe(30);
+  });
+
+  test('should report other upstream 4xx responses as a BadGatewayError', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValue(new Response(null, { status: 401 }));
+
+    const error = await safeFetch(USERS_API, {}, { fetch }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+    expect(error.cause.message).toBe(`GET ${USERS_API} responded with 401`);
+  });
+
+  test('should honor custom forwardStatuses', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValue(new Response(null, { status: 404 }));
+
+    const error = await safeFetch(
+      USERS_API,
+      {},
+      { fetch, forwardStatuses: [] },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+  });
+
+  test('should parse upstream Problem JSON into details when enabled', async () => {
+    const problem = {
+      type: 'https://users.internal/problems/not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User 1 does not exist.',
+    };
+    const fetch = jest.fn().mockResolvedValue(
+      new Response(JSON.stringify(problem), {
+        status: 404,
+        headers: { 'Content-Type': 'application/problem+json' },
+      }),
+    );
+
+    const error = await safeFetch(
+      USERS_API,
+      {},
+      { fetch, parseProblem: true },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.details).toEqual(problem);
+  });
+
+  test('should ignore non-Problem bodies when parsing is enabled', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValue(
+        jsonResponse({ message: 'Internal detail' }, { status: 500 }),
+      );
+
+    const error = await safeFetch(
+      USERS_API,
+      {},
+      { fetch, parseProblem: true },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+    expect(error.details).toBeUndefined();
+  });
+
+  test('should retry idempotent requests after failures', async () => {
+    const response = jsonResponse({ id: 1 });
+    const fetch = jest
+      .fn()
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(new Response(null, { status: 503 }))
+      .mockResolvedValueOnce(response);
+
+    const result = await safeFetch(
+      USERS_API,
+      {},
+      { fetch, retries: 2, retryDelay: 1 },
+    );
+
+    expect(result).toBe(response);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should throw the last error once the retries are exhausted', async () => {
+    const fetch = jest
+      .fn()
+      .mockImplementation(() =>
+        Promise.resolve(new Response(null, { status: 502 })),
+      );
+
+    const error = await safeFetch(
+      USERS_API,
+      {},
+      { fetch, retries: 2, retryDelay: 1 },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry non-idempotent requests', async () => {
+    const fetch = jest.fn().mockRejectedValue(new TypeError('fetch failed'));
+
+    const error = await safeFetch(
+      USERS_API,
+      { method: 'POST', body: '{}' },
+      { fetch, retries: 3, retryDelay: 1 },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(BadGatewayError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not retry statuses outside retryStatuses', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValue(new Response(null, { status: 500 }));
+
+    await safeFetch(USERS_API, {}, { fetch, retries: 2, retryDelay: 1 }).catch(
+      () => {},
+    );
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry timed-out attempts', async () => {
+    const error = await safeFetch(
+      USERS_API,
+      {},
+      { fetch: hangingFetch, timeout: 5, retries: 1, retryDelay: 1 },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(GatewayTimeoutError);
+    expect(hangingFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not retry requests aborted by the caller', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await safeFetch(
+      USERS_API,
+      { signal: controller.signal },
+      { fetch: hangingFetch, retries: 3, retryDelay: 1 },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(GatewayTimeoutError);
+    expect(hangingFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should wait for the upstream Retry-After before retrying', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValueOnce(
+        new Response(null, { status: 429, headers: { 'Retry-After': '1' } }),
+      )
+      .mockResolvedValueOnce(jsonResponse({ id: 1 }));
+
+    const start = Date.now();
+    await safeFetch(
+      USERS_API,
+      {},
+      { fetch, retries: 1, retryDelay: 1, maxRetryDelay: 50 },
+    );
+
+    // Retry-After is 1s, capped by maxRetryDelay
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should let converted errors propagate to errorHandler', async () => {
+    const fetch = jest
+      .fn()
+      .mockRejectedValue(new TypeError('connect ECONNREFUSED 10.0.0.1:443'));
+    const handler = errorHandler(async () => {
+      await safeFetch(USERS_API, {}, { fetch });
+      return Response.json({ ok: true });
+    });
+
+    const response = await handler(
+      new Request('https://app.example.com/api/users/1'),
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(502);
+    expect(body.error.type).toBe('BadGatewayError');
+    expect(JSON.stringify(body)).not.toContain('ECONNREFUSED');
+  });
+});
@@ -0,0 +1,155 @@
+// tests/serverActions.test.js
+
+const {
+  withActionErrors,
+  isNextControlFlowError,
+} = require('../src/serverActions');
+const { ConflictError, NotFoundError } = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+describe('withActionErrors', () => {
+  test('should resolve to an ok result with the action data', async () => {
+    const action = withActionErrors(async (a, b) => a + b);
+
+    await expect(action(1, 2)).resolves.toEqual({ ok: true, data: 3 });
+  });
+
+  test('should return a serializable result for custom errors', async () => {
+    const action = withActionErrors(async () => {
+      throw new ConflictError('Email already registered.', {
+        code: 'USER_EMAIL_TAKEN',
+      });
+    });
+
+    const result = await action();
+
+    expect(result).toEqual({
+      ok: false,
+      error: {
+        type: 'ConflictError',
+        message: 'Email already registered.',
+        code: 'USER_EMAIL_TAKEN',
+        requestId: expect.any(String),
+      },
+    });
+    expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+  });
+
+  test('should convert validation failures into fields', async () => {
+    const action = withActionErrors(async () => {
+      const zodError = new Error('Invalid input');
+      zodError.name = 'ZodError';
+      zodError.issues = [
+        { path: ['email'], message: 'Invalid email', code: 'invalid_string' },
+      ];
+      throw zodError;
+    });
+
+    const { ok, error } = await action();
+
+    expect(ok).toBe(false);
+    expect(error.type).toBe('ValidationError');
+    expect(error.fields).toEqual([
+      { path: 'email', message: 'Invalid email', rule: 'invalid_string' },
+    ]);
+  });
+
+  test('should hide details of unexpected errors', async () => {
+    const action = withActionErrors(
+      async () => {
+        throw new Error('connection string postgres://secret');
+      },
+      { defaultMessage: 'Something went wrong.' },
+    );
+
+    const { error } = await action();
+
+    expect(error.message).toBe('Something went wrong.');
+    expect(error.code).toBeUndefined();
+    expect(JSON.stringify(error)).not.toContain('secret');
+  });
+
+  test('should log errors through the structured logger pipeline', async () => {
+    const logger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    const action = withActionErrors(
+      async function deleteUser() {
+        throw new NotFoundError('User not found.');
+      },
+      { logger, generateRequestId: () => 'req-1' },
+    );
+
+    const { error } = await action();
+
+    expect(error.requestId).toBe('req-1');
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Server Action Error:',
+      expect.objectContaining({
+        level: 'warn',
+        requestId: 'req-1',
+        action: 'deleteUser',
+        statusCode: 404,
+      }),
+    );
+  });
+
+  test('should still return a result when the logger fails', async () => {
+    const action = withActionErrors(
+      async () => {
+        throw new NotFoundError();
+      },
+      {
+        logger: () => {
+          throw new Error('Logger broke');
+        },
+      },
+    );
+
+    const { ok } = await action();
+
+    expect(ok).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(
+      'Logging failed:',
+      expect.any(Error),
+    );
+  });
+
+  test('should rethrow Next.js redirect and notFound errors', async () => {
+    const redirectError = new Error('NEXT_REDIRECT');
+    redirectError.digest = 'NEXT_REDIRECT;replace;/login;307;';
+    const logger = jest.fn();
+    const action = withActionErrors(
+      async () => {
+        throw redirectError;
+      },
+      { logger },
+    );
+
+    await expect(action()).rejects.toBe(redirectError);
+    expect(logger).not.toHaveBeenCalled();
+  });
+});
+
+describe('isNextControlFlowError', () => {
+  test('should recognize Next.js control flow digests', () => {
+    expect(isNextControlFlowError({ digest: 'NEXT_NOT_FOUND' })).toBe(true);
+    expect(isNextControlFlowError({ digest: 'DYNAMIC_SERVER_USAGE' })).toBe(
+      true,
+    );
+    expect(isNextControlFlowError(new Error('boom'))).toBe(false);
+    expect(isNextControlFlowError(null)).toBe(false);
+  });
+});
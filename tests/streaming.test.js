@@ -0,0 +1,51 @@
+// tests/streaming.test.js
+
+const { monitorResponseBody } = require('../src/streaming');
+
+const createFailingStream = (error) =>
+  new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('partial'));
+    },
+    pull() {
+      throw error;
+    },
+  });
+
+describe('monitorResponseBody', () => {
+  test('should return responses without a body unchanged', () => {
+    const response = new Response(null, { status: 204 });
+
+    expect(monitorResponseBody(response, jest.fn())).toBe(response);
+  });
+
+  test('should preserve the status, headers and body', async () => {
+    const onError = jest.fn();
+    const response = monitorResponseBody(
+      new Response('hello', {
+        status: 201,
+        statusText: 'Created',
+        headers: { 'X-Custom': '1' },
+      }),
+      onError,
+    );
+
+    expect(response.status).toBe(201);
+    expect(response.statusText).toBe('Created');
+    expect(response.headers.get('X-Custom')).toBe('1');
+    await expect(response.text()).resolves.toBe('hello');
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test('should report errors raised while streaming and abort the body', async () => {
+    const failure = new Error('Upstream stream failed');
+    const onError = jest.fn();
+    const response = monitorResponseBody(
+      new Response(createFailingStream(failure)),
+      onError,
+    );
+
+    await expect(response.text()).rejects.toBe(failure);
+    expect(onError).toHaveBeenCalledWith(failure);
+  });
+});
@@ -0,0 +1,168 @@
+// tests/timeout.test.js
+
+const {
+  startDeadline,
+  raceDeadline,
+  guardResponse,
+} = require('../src/timeout');
+const errorHandler = require('../src/errorHandler');
+const {
+  GatewayTimeoutError,
+  RequestTimeoutError,
+} = require('../src/customErrors');
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createRes = () => {
+  const res = {
+    statusCode: 200,
+    status: jest.fn(() => res),
+    json: jest.fn(),
+    send: jest.fn(),
+    end: jest.fn(),
+    setHeader: jest.fn(),
+  };
+  return res;
+};
+
+describe('startDeadline and raceDeadline', () => {
+  test('should resolve with the handler result before the deadline', async () => {
+    const deadline = startDeadline(50, GatewayTimeoutError);
+
+    await expect(raceDeadline(async () => 'done', deadline)).resolves.toBe(
+      'done',
+    );
+    expect(deadline.isExpired()).toBe(false);
+  });
+
+  test('should reject and abort the signal when the deadline passes', async () => {
+    const deadline = startDeadline(10, GatewayTimeoutError);
+
+    await expect(
+      raceDeadline(() => sleep(100), deadline),
+    ).rejects.toBeInstanceOf(GatewayTimeoutError);
+    expect(deadline.isExpired()).toBe(true);
+    expect(deadline.signal.aborted).toBe(true);
+    expect(deadline.signal.reason).toBeInstanceOf(GatewayTimeoutError);
+    expect(deadline.signal.reason.details).toBeUndefined();
+    expect(deadline.signal.reason.cause.message).toBe(
+      'Handler timed out after 10 ms',
+    );
+  });
+
+  test('should turn synchronous throws into rejections', async () => {
+    const deadline = startDeadline(50, GatewayTimeoutError);
+    const failure = new Error('Sync failure');
+
+    await expect(
+      raceDeadline(() => {
+        throw failure;
+      }, deadline),
+    ).rejects.toBe(failure);
+  });
+});
+
+describe('guardResponse', () => {
+  test('should forward calls and keep chaining on the guarded response', () => {
+    const res = createRes();
+    const guarded = guardResponse(res, () => false);
+
+    expect(guarded.status(201)).toBe(guarded);
+    guarded.json({ ok: true });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ ok: true });
+    expect(guarded.statusCode).toBe(200);
+  });
+
+  test('should ignore writes once closed', () => {
+    const res = createRes();
+    let closed = false;
+    const guarded = guardResponse(res, () => closed);
+    const chained = guarded.status(200);
+
+    closed = true;
+    chained.json({ late: true });
+    guarded.setHeader('X-Late', '1');
+    guarded.statusCode = 201;
+
+    expect(res.json).not.toHaveBeenCalled();
+    expect(res.setHeader).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+  });
+});
+
+describe('errorHandler - timeout', () => {
+  test('should respond with GatewayTimeoutError when the handler is too slow', async () => {
+    const res = createRes();
+    let signal;
+    const handler = async (req, response, options) => {
+      signal = options.signal;
+      await sleep(100);
+      response.status(200).json({ late: true });
+    };
+
+    await errorHandler(handler, { timeout: 10, logger: jest.fn() })(
+      { headers: {} },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(504);
+    expect(res.json).toHaveBeenCalledTimes(1);
+    expect(res.json.mock.calls[0][0].error.type).toBe('GatewayTimeoutError');
+    expect(JSON.stringify(res.json.mock.calls[0][0])).not.toContain(
+      '"timeout"',
+    );
+    expect(signal.aborted).toBe(true);
+
+    // The late write must not reach the response
+    await sleep(120);
+    expect(res.json).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalledWith(200);
+  });
+
+  test('should use a configurable timeout error class', async () => {
+    const handler = () => sleep(100);
+
+    const response = await errorHandler(handler, {
+      timeout: 10,
+      timeoutError: RequestTimeoutError,
+      logger: jest.fn(),
+    })(new Request('https://example.com'));
+
+    expect(response.status).toBe(408);
+    expect((await response.json()).error.type).toBe('RequestTimeoutError');
+  });
+
+  test('should not interfere with handlers finishing in time', async () => {
+    const res = createRes();
+    const handler = async (req, response, { signal }) => {
+      expect(signal.aborted).toBe(false);
+      response.status(200).json({ ok: true });
+    };
+
+    await errorHandler(handler, { timeout: 50 })({ headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ ok: true });
+  });
+
+  test('should not pass a signal when no timeout is configured', async () => {
+    const handler = jest.fn(async () => new Response('ok'));
+    const req = new Request('https://example.com');
+
+    await errorHandler(handler)(req);
+
+    expect(handler.mock.calls[0]).toHaveLength(2);
+  });
+});
@@ -0,0 +1,119 @@
+// tests/validationAdapters.test.js
+
+const {
+  toValidationError,
+  fromZodError,
+  fromYupError,
+  fromJoiError,
+} = require('../src/validationAdapters');
+const { ValidationError, BadRequestError } = require('../src/customErrors');
+
+// Minimal stand-ins shaped like the errors thrown by each library
+const createZodError = () => {
+  const error = new Error('Validation failed');
+  error.name = 'ZodError';
+  error.issues = [
+    { path: ['name'], message: 'Required', code: 'invalid_type' },
+    {
+      path: ['items', 0, 'qty'],
+      message: 'Number must be greater than 0',
+      code: 'too_small',
+    },
+  ];
+  return error;
+};
+
+const createYupError = (inner) => {
+  const error = new Error('2 errors occurred');
+  error.name = 'ValidationError';
+  error.path = 'email';
+  error.type = 'email';
+  error.errors = ['email must be a valid email'];
+  error.inner = inner;
+  return error;
+};
+
+const createJoiError = () => {
+  const error = new Error('"age" must be a number');
+  error.name = 'ValidationError';
+  error.isJoi = true;
+  error.details = [
+    {
+      message: '"age" must be a number',
+      path: ['age'],
+      type: 'number.base',
+    },
+  ];
+  return error;
+};
+
+describe('Validation Adapters', () => {
+  test('should convert Zod issues into fields', () => {
+    const zodError = createZodError();
+    const error = fromZodError(zodError);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.statusCode).toBe(422);
+    expect(error.cause).toBe(zodError);
+    expect(error.fields).toEqual([
+      { path: 'name', message: 'Required', rule: 'invalid_type' },
+      {
+        path: 'items.0.qty',
+        message: 'Number must be greater than 0',
+        rule: 'too_small',
+      },
+    ]);
+  });
+
+  test('should convert Yup inner errors and normalize bracket paths', () => {
+    const error = fromYupError(
+      createYupError([
+        { path: 'email', message: 'email is invalid', type: 'email' },
+        {
+          path: 'items[1].name',
+          message: 'name is required',
+          type: 'required',
+        },
+      ]),
+    );
+
+    expect(error.fields).toEqual([
+      { path: 'email', message: 'email is invalid', rule: 'email' },
+      { path: 'items.1.name', message: 'name is required', rule: 'required' },
+    ]);
+  });
+
+  test('should fall back to the Yup error itself when abortEarly is used', () => {
+    const error = fromYupError(createYupError([]));
+
+    expect(error.fields).toEqual([
+      { path: 'email', message: '2 errors occurred', rule: 'email' },
+    ]);
+  });
+
+  test('should convert Joi details into fields', () => {
+    const error = fromJoiError(createJoiError(), { statusCode: 400 });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.fields).toEqual([
+      { path: 'age', message: '"age" must be a number', rule: 'number.base' },
+    ]);
+  });
+
+  test('toValidationError should detect each library', () => {
+    expect(toValidationError(createZodError())).toBeInstanceOf(ValidationError);
+    expect(toValidationError(createYupError([]))).toBeInstanceOf(
+      ValidationError,
+    );
+    expect(toValidationError(createJoiError()).fields[0].rule).toBe(
+      'number.base',
+    );
+  });
+
+  test('toValidationError should ignore other errors', () => {
+    expect(toValidationError(new Error('nope'))).toBeNull();
+    expect(toValidationError(new BadRequestError())).toBeNull();
+    expect(toValidationError(new ValidationError())).toBeNull();
+    expect(toValidationError(undefined)).toBeNull();
+  });
+});